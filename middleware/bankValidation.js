@@ -1,44 +1,84 @@
-// Middleware to check if user has submitted bank details before withdrawal
-export const requireBankDetails = async (req, res, next) => {
+import Ifsc from '../models/Ifsc.js';
+import IfscDirectory from '../models/IfscDirectory.js';
+import { ensurePayoutMethods, findPayoutMethod } from '../services/payoutMethodService.js';
+
+// Middleware to resolve the verified payout method a withdrawal is paid to:
+// `payoutMethodId` from the body, or the user's primary method
+export const requirePayoutMethod = async (req, res, next) => {
   try {
-    const user = req.user;
-    
-    if (!user.bankDetails.isSubmitted) {
+    const user = await ensurePayoutMethods(req.user);
+
+    if (user.payoutMethods.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Please submit your bank details before making a withdrawal request.',
-        code: 'BANK_DETAILS_REQUIRED'
+        message: 'Please add a bank account or UPI ID before making a withdrawal request.',
+        code: 'PAYOUT_METHOD_REQUIRED'
       });
     }
 
-    // Validate that all required bank details are present
-    const { bankName, accountHolderName, accountNumber, ifscCode } = user.bankDetails;
-    
-    if (!bankName || !accountHolderName || !accountNumber || !ifscCode) {
+    const method = findPayoutMethod(user, req.body.payoutMethodId);
+    if (!method) {
       return res.status(400).json({
         success: false,
-        message: 'Incomplete bank details. Please update your bank information.',
-        code: 'INCOMPLETE_BANK_DETAILS'
+        message: req.body.payoutMethodId
+          ? 'Payout method not found.'
+          : 'Please choose a primary payout method.',
+        code: 'PAYOUT_METHOD_NOT_FOUND'
       });
     }
 
+    if (method.verificationStatus !== 'verified') {
+      const name = method.type === 'upi' ? 'UPI ID' : 'bank account';
+      const messages = {
+        pending: `Your ${name} is being verified. Please try again once it is verified.`,
+        rejected: `Your ${name} could not be verified. Please choose another payout method.`
+      };
+
+      return res.status(400).json({
+        success: false,
+        message: messages[method.verificationStatus] || `Please verify your ${name} before making a withdrawal request.`,
+        code: 'PAYOUT_METHOD_NOT_VERIFIED',
+        verificationStatus: method.verificationStatus
+      });
+    }
+
+    req.user = user;
+    req.payoutMethod = method;
     next();
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error during bank details validation.'
+      message: 'Server error during payout method validation.'
     });
   }
 };
 
-// Validate bank details format
-export const validateBankDetails = (req, res, next) => {
-  const { bankName, accountHolderName, accountNumber, ifscCode } = req.body;
+// Validate bank details format and look the IFSC code up in the directory
+export const validateBankDetails = async (req, res, next) => {
+  const { bankName, accountHolderName, accountNumber } = req.body;
+  const ifscCode = String(req.body.ifscCode || '').trim().toUpperCase();
 
   // Validation rules
   const errors = [];
+  let branch = null;
 
-  if (!bankName || bankName.trim().length < 2) {
+  if (/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifscCode)) {
+    try {
+      branch = await Ifsc.findOne({ ifsc: ifscCode });
+      // Until the full directory is imported only the format can be checked
+      if (!branch && await IfscDirectory.isComplete()) {
+        errors.push('Unknown IFSC code');
+      }
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error during bank details validation.'
+      });
+    }
+  }
+
+  // The directory's bank name is used when the code is known
+  if (!branch && (!bankName || bankName.trim().length < 2)) {
     errors.push('Bank name must be at least 2 characters long');
   }
 
@@ -50,7 +90,7 @@ export const validateBankDetails = (req, res, next) => {
     errors.push('Account number must be 9-18 digits');
   }
 
-  if (!ifscCode || !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifscCode)) {
+  if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifscCode)) {
     errors.push('IFSC code must be in valid format (e.g., SBIN0123456)');
   }
 
@@ -62,5 +102,56 @@ export const validateBankDetails = (req, res, next) => {
     });
   }
 
+  req.body.ifscCode = ifscCode;
+  if (branch) {
+    req.body.bankName = branch.bank;
+  }
+
   next();
-};
\ No newline at end of file
+};
+
+// Validate a new payout method: bank accounts go through the bank details
+// checks, UPI IDs need a valid VPA
+export const validatePayoutMethod = (req, res, next) => {
+  const { type, label } = req.body;
+  const errors = [];
+
+  if (!['bank', 'upi'].includes(type)) {
+    errors.push('Type must be either bank or upi');
+  }
+
+  if (label && String(label).trim().length > 50) {
+    errors.push('Label cannot exceed 50 characters');
+  }
+
+  if (type === 'upi') {
+    const vpa = String(req.body.vpa || '').trim().toLowerCase();
+
+    if (!/^[a-z0-9.\-_]{2,256}@[a-z][a-z0-9]{1,63}$/.test(vpa)) {
+      errors.push('UPI ID must be in valid format (e.g., name@okaxis)');
+    }
+
+    // The name the VPA should resolve to; defaults to the user's name
+    const accountHolderName = String(req.body.accountHolderName || req.user.fullName).trim();
+    if (accountHolderName.length < 2) {
+      errors.push('Account holder name must be at least 2 characters long');
+    }
+
+    req.body.vpa = vpa;
+    req.body.accountHolderName = accountHolderName;
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid payout method',
+      errors
+    });
+  }
+
+  if (type === 'bank') {
+    return validateBankDetails(req, res, next);
+  }
+
+  next();
+};
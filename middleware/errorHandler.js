@@ -24,6 +24,8 @@ export const errorHandler = (err, req, res, next) => {
       message = 'Referral code already exists';
     } else if (field === 'transactionId') {
       message = 'Transaction ID already exists';
+    } else if (field === 'utr') {
+      message = 'This UTR has already been used';
     }
     
     error = { message, statusCode: 400 };
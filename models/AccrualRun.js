@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// Daily earnings accrual for one calendar day. A day is paid once its run
+// is completed; failed or interrupted runs are picked up again.
+const accrualRunSchema = new mongoose.Schema({
+  // Calendar day paid, YYYY-MM-DD in the accrual timezone
+  day: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  // What started the latest attempt: the nightly schedule, the catch-up on
+  // startup or an admin
+  trigger: {
+    type: String,
+    enum: ['schedule', 'startup', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Totals over all attempts
+  ordersPaid: {
+    type: Number,
+    default: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  // Progress of the latest attempt: active orders to go through, orders
+  // gone through so far and those in batches that failed
+  totalOrders: {
+    type: Number,
+    default: 0
+  },
+  processedOrders: {
+    type: Number,
+    default: 0
+  },
+  ordersFailed: {
+    type: Number,
+    default: 0
+  },
+  batchesCompleted: {
+    type: Number,
+    default: 0
+  },
+  batchesFailed: {
+    type: Number,
+    default: 0
+  },
+  // Batches of the latest attempt that failed; none of their orders were paid
+  failures: [{
+    batch: { type: Number, required: true },
+    orders: { type: Number, default: 0 },
+    firstOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    lastOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    error: { type: String, default: null },
+    failedAt: { type: Date, default: Date.now }
+  }],
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+accrualRunSchema.index({ status: 1, day: -1 });
+
+// Duration of the latest attempt, once it has finished
+accrualRunSchema.virtual('durationMs').get(function () {
+  const finishedAt = this.completedAt || (this.status === 'failed' ? this.updatedAt : null);
+  return this.startedAt && finishedAt ? finishedAt - this.startedAt : null;
+});
+
+// Ensure virtual fields are serialized
+accrualRunSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const AccrualRun = mongoose.model('AccrualRun', accrualRunSchema);
+
+export default AccrualRun;
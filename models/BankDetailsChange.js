@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// Payout method as it was before or after a change
+const payoutMethodStateSchema = new mongoose.Schema({
+  type: { type: String, enum: ['bank', 'upi'] },
+  label: { type: String, default: null },
+  accountHolderName: { type: String, default: null },
+  bankName: { type: String, default: null },
+  accountNumber: { type: String, default: null },
+  ifscCode: { type: String, default: null },
+  vpa: { type: String, default: null }
+}, {
+  _id: false
+});
+
+// History of changes to a user's bank accounts and UPI IDs, for admins
+// looking into account takeovers
+const bankDetailsChangeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['added', 'updated', 'removed'],
+    required: true
+  },
+  methodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  before: {
+    type: payoutMethodStateSchema,
+    default: null
+  },
+  after: {
+    type: payoutMethodStateSchema,
+    default: null
+  },
+  // End of the withdrawal lock the change started, if any
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+bankDetailsChangeSchema.index({ userId: 1, createdAt: -1 });
+
+// Ensure virtual fields are serialized
+bankDetailsChangeSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const BankDetailsChange = mongoose.model('BankDetailsChange', bankDetailsChangeSchema);
+
+export default BankDetailsChange;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Bank branch from the RBI IFSC directory, loaded with `npm run ifsc:import`
+const ifscSchema = new mongoose.Schema({
+  ifsc: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  bank: {
+    type: String,
+    required: true
+  },
+  branch: {
+    type: String,
+    default: null
+  },
+  address: {
+    type: String,
+    default: null
+  },
+  city: {
+    type: String,
+    default: null
+  },
+  district: {
+    type: String,
+    default: null
+  },
+  state: {
+    type: String,
+    default: null
+  },
+  micr: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Ensure virtual fields are serialized
+ifscSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Ifsc = mongoose.model('Ifsc', ifscSchema);
+
+export default Ifsc;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// State of the IFSC directory, recorded by `npm run ifsc:import`
+const ifscDirectorySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Set when the last import was the full RBI list (`--complete`); only then
+  // are codes missing from the directory rejected
+  complete: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    default: null
+  },
+  importedCount: {
+    type: Number,
+    default: 0
+  },
+  importedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// The directory is complete only once an import said so
+ifscDirectorySchema.statics.isComplete = async function () {
+  const directory = await this.findOne({ key: 'default' });
+  return Boolean(directory?.complete);
+};
+
+// Ensure virtual fields are serialized
+ifscDirectorySchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const IfscDirectory = mongoose.model('IfscDirectory', ifscDirectorySchema);
+
+export default IfscDirectory;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Settings of a scheduled job. The work itself is registered in
+// services/jobs/; the first start creates its settings from the defaults
+// there and admins change them afterwards.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  // Cron expression, evaluated in `timezone`
+  schedule: {
+    type: String,
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // A failed run is attempted again after backoffSeconds, doubling after
+  // every further failure, until maxAttempts attempts have failed
+  retry: {
+    maxAttempts: { type: Number, default: 1, min: 1, max: 10 },
+    backoffSeconds: { type: Number, default: 60, min: 0 }
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Ensure virtual fields are serialized
+jobSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
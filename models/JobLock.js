@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// Lease on a scheduled job so only one app instance runs it at a time. The
+// holder renews the lease while the job runs; a lease that has expired
+// belonged to an instance that died and can be taken over.
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Instance holding the lease (host:pid), null when free
+  holder: {
+    type: String,
+    default: null
+  },
+  // Identifies one acquisition, so a holder cannot renew or release a lease
+  // that was taken over meanwhile
+  token: {
+    type: String,
+    default: null
+  },
+  acquiredAt: {
+    type: Date,
+    default: null
+  },
+  renewedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  lastHolder: {
+    type: String,
+    default: null
+  },
+  // Leases taken over after their holder stopped renewing them
+  staleRecoveries: {
+    type: Number,
+    default: 0
+  },
+  recoveredFrom: {
+    type: String,
+    default: null
+  },
+  recoveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobLockSchema.virtual('held').get(function () {
+  return Boolean(this.holder) && this.expiresAt > new Date();
+});
+
+// Held by an instance that stopped renewing; the next acquire takes it over
+jobLockSchema.virtual('stale').get(function () {
+  return Boolean(this.holder) && this.expiresAt <= new Date();
+});
+
+// Ensure virtual fields are serialized
+jobLockSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.token;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+export default JobLock;
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Runs are kept this long
+const RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 30;
+
+// One run of a scheduled job, with every attempt it took
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'startup', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Instance that ran it
+  instance: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  failures: [{
+    attempt: Number,
+    error: String,
+    failedAt: Date
+  }],
+  // When the next attempt starts, while waiting to retry
+  nextRetryAt: {
+    type: Date,
+    default: null
+  },
+  // What the job reported, e.g. the number of deposits expired
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+jobRunSchema.virtual('durationMs').get(function () {
+  return this.finishedAt ? this.finishedAt - this.startedAt : null;
+});
+
+// Ensure virtual fields are serialized
+jobRunSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
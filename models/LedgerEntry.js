@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+// A single debit or credit leg of a ledger entry
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const ledgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'opening_balance',
+      'deposit',
+      'withdrawal_hold',
+      'withdrawal',
+      'withdrawal_reversal',
+      'purchase',
+      'referral_bonus',
+      'earning',
+      'admin_adjustment',
+      'refund',
+      'dispute_hold',
+      'dispute_release',
+      'chargeback'
+    ],
+    required: true
+  },
+  // What caused this entry (e.g. a Transaction or an Order)
+  reference: {
+    kind: {
+      type: String,
+      default: null
+    },
+    id: {
+      type: String,
+      default: null
+    }
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    required: true
+  },
+  // Signed change to the user's wallet and the wallet balance right after it
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Every entry must have at least two legs and total debits must equal total credits
+ledgerEntrySchema.pre('validate', function (next) {
+  if (!this.lines || this.lines.length < 2) {
+    return next(new Error('Ledger entry needs at least two lines'));
+  }
+
+  const totals = this.lines.reduce((sum, line) => {
+    sum.debit += Math.round(line.debit * 100);
+    sum.credit += Math.round(line.credit * 100);
+    return sum;
+  }, { debit: 0, credit: 0 });
+
+  if (totals.debit !== totals.credit) {
+    return next(new Error('Ledger entry is not balanced'));
+  }
+  next();
+});
+
+// Index for better query performance
+ledgerEntrySchema.index({ userId: 1, createdAt: -1 });
+ledgerEntrySchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+ledgerEntrySchema.index({ reason: 1 });
+
+// Ensure virtual fields are serialized
+ledgerEntrySchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
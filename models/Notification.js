@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// In-app message to a user, e.g. a security alert about their account
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What the notification is about, e.g. bank_details_changed
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Extra details for clients, depending on the type
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+// Ensure virtual fields are serialized
+notificationSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -26,6 +26,14 @@ const orderSchema = new mongoose.Schema({
   validity: {
     type: Number, // Change type to Number to represent days
     required: true // Make it required
+  },
+  // Product terms at purchase time; later product edits do not change them.
+  // `validity` above counts the days left, terms.validity the days bought.
+  terms: {
+    productName: { type: String, default: null },
+    price: { type: Number, default: null },
+    perDayEarning: { type: Number, default: null },
+    validity: { type: Number, default: null }
   }
 }, {
   timestamps: true
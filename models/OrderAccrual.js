@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// One day's earning paid for an order. The unique index on order and day
+// makes sure no order is paid twice for the same day.
+const orderAccrualSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Calendar day paid, YYYY-MM-DD in the accrual timezone
+  day: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // The earning transaction crediting the wallet
+  transactionId: {
+    type: String,
+    required: true
+  },
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AccrualRun',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+orderAccrualSchema.index({ orderId: 1, day: 1 }, { unique: true });
+orderAccrualSchema.index({ day: 1 });
+orderAccrualSchema.index({ userId: 1, createdAt: -1 });
+
+// Ensure virtual fields are serialized
+orderAccrualSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const OrderAccrual = mongoose.model('OrderAccrual', orderAccrualSchema);
+
+export default OrderAccrual;
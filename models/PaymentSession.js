@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// Links a pending deposit to the payment made for it at the gateway
+const paymentSessionSchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    unique: true
+  },
+  transactionId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  gateway: {
+    type: String,
+    default: 'razorpay'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  status: {
+    type: String,
+    enum: ['open', 'paid', 'expired', 'failed'],
+    default: 'open'
+  },
+  gatewayOrderId: {
+    type: String,
+    default: undefined
+  },
+  gatewayPaymentId: {
+    type: String,
+    default: undefined
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A gateway order or payment can only ever belong to one session
+paymentSessionSchema.index({ gatewayOrderId: 1 }, { unique: true, sparse: true });
+paymentSessionSchema.index({ gatewayPaymentId: 1 }, { unique: true, sparse: true });
+paymentSessionSchema.index({ transactionId: 1 });
+paymentSessionSchema.index({ status: 1, expiresAt: 1 });
+
+// Whether the session can still be paid
+paymentSessionSchema.methods.isOpen = function () {
+  return this.status === 'open' && this.expiresAt > new Date();
+};
+
+// Ensure virtual fields are serialized
+paymentSessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const PaymentSession = mongoose.model('PaymentSession', paymentSessionSchema);
+
+export default PaymentSession;
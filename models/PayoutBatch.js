@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+// One withdrawal in a payout batch, with the bank details it was paid to
+const payoutItemSchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  transactionId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  accountHolderName: {
+    type: String,
+    required: true
+  },
+  accountNumber: {
+    type: String,
+    required: true
+  },
+  ifscCode: {
+    type: String,
+    required: true
+  },
+  bankName: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'success', 'failed'],
+    default: 'processing'
+  },
+  // UTR / reference the bank reported for the transfer
+  bankReference: {
+    type: String,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const payoutBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['NEFT', 'IMPS'],
+    default: 'NEFT'
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  items: [payoutItemSchema],
+  // Bank response files applied to this batch
+  responses: [{
+    fileName: { type: String, default: null },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    success: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    unknown: { type: Number, default: 0 },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ 'items.transaction': 1 });
+
+// Ensure virtual fields are serialized
+payoutBatchSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+export default PayoutBatch;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+// One credit line of an imported bank statement and what it was matched to
+const statementRowSchema = new mongoose.Schema({
+  line: {
+    type: Number,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: null
+  },
+  narration: {
+    type: String,
+    default: null
+  },
+  reference: {
+    type: String,
+    default: null
+  },
+  utr: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['matched', 'ambiguous', 'unmatched', 'duplicate'],
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  note: {
+    type: String,
+    default: null
+  }
+});
+
+const statementImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    default: null
+  },
+  format: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  summary: {
+    totalRows: { type: Number, default: 0 },
+    creditRows: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    ambiguous: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    approvedAmount: { type: Number, default: 0 }
+  },
+  rows: [statementRowSchema]
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+statementImportSchema.index({ createdAt: -1 });
+statementImportSchema.index({ 'rows.utr': 1 });
+
+// Ensure virtual fields are serialized
+statementImportSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const StatementImport = mongoose.model('StatementImport', statementImportSchema);
+
+export default StatementImport;
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Every kind of wallet movement shown in a user's history
+export const TRANSACTION_TYPES = ['deposit', 'withdrawal', 'earning', 'order', 'referral', 'refund'];
+
 const transactionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,7 +16,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal',],
+    enum: TRANSACTION_TYPES,
     required: true
   },
   amount: {
@@ -23,7 +26,7 @@ const transactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'success'],
+    enum: ['pending', 'processing', 'approved', 'rejected', 'success', 'failed', 'reversed', 'refunded', 'expired'],
     default: 'pending'
   },
   adminNotes: {
@@ -36,10 +39,114 @@ const transactionSchema = new mongoose.Schema({
     enum: ['bank_transfer', 'upi', 'wallet', 'other'],
     default: 'upi'
   },
+  // Bank reference of a manual deposit, stored normalized; a UTR can only be used once
   utr : {
     type : String,
     required : false,
     default : null
+  },
+  // Gateway order created for the deposit and the payment that settled it
+  gateway: {
+    type: String,
+    default: null
+  },
+  gatewayOrderId: {
+    type: String,
+    default: null
+  },
+  gatewayPaymentId: {
+    type: String,
+    default: null
+  },
+  // Failure reason reported by the gateway (payment.failed)
+  gatewayReason: {
+    type: String,
+    default: null
+  },
+  // Refunds processed by the gateway against this deposit
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    refundId: { type: String, required: true },
+    amount: { type: Number, required: true },
+    processedAt: { type: Date, default: Date.now }
+  }],
+  // Dispute or chargeback raised against this deposit
+  dispute: {
+    disputeId: { type: String, default: null },
+    status: {
+      type: String,
+      enum: ['open', 'won', 'lost', null],
+      default: null
+    },
+    amount: { type: Number, default: 0 },
+    reason: { type: String, default: null },
+    openedAt: { type: Date, default: null },
+    closedAt: { type: Date, default: null }
+  },
+  // For earning, order and referral entries
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  // For withdrawals: processing fee and the amount actually paid out
+  fee: {
+    type: Number,
+    default: 0
+  },
+  netAmount: {
+    type: Number,
+    default: null
+  },
+  // For withdrawals: whether the amount is still held, paid out or returned
+  holdStatus: {
+    type: String,
+    enum: ['held', 'settled', 'released', null],
+    default: null
+  },
+  // For withdrawals: the payout method as it was when requested, so later
+  // edits to the user's methods do not change where it was paid
+  payoutMethod: {
+    methodId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    type: { type: String, enum: ['bank', 'upi', null], default: null },
+    label: { type: String, default: null },
+    accountHolderName: { type: String, default: null },
+    bankName: { type: String, default: null },
+    accountNumber: { type: String, default: null },
+    ifscCode: { type: String, default: null },
+    vpa: { type: String, default: null }
+  },
+  // For withdrawals sent to the bank in a payout batch, and the bank's reference
+  payoutBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+    default: null
+  },
+  payoutReference: {
+    type: String,
+    default: null
+  },
+  // For withdrawals pushed to a payout provider
+  payoutProvider: {
+    type: String,
+    default: null
+  },
+  payoutId: {
+    type: String,
+    default: null
+  },
+  // For refunds, the transaction whose amount was returned
+  relatedTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
   }
 }, {
   timestamps: true
@@ -51,9 +158,13 @@ transactionSchema.pre('save', function (next) {
     const prefix = {
       'deposit': 'DEP',
       'withdrawal': 'WTH',
+      'earning': 'ERN',
+      'order': 'ORD',
+      'referral': 'REF',
+      'refund': 'RFD'
     };
 
-    this.transactionId = prefix[this.type] + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
+    this.transactionId = (prefix[this.type] || 'TXN') + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
   }
   next();
 });
@@ -64,6 +175,15 @@ transactionSchema.index({ transactionId: 1 });
 transactionSchema.index({ type: 1 });
 transactionSchema.index({ status: 1 });
 transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ orderId: 1 });
+transactionSchema.index({ gatewayOrderId: 1 });
+transactionSchema.index({ gatewayPaymentId: 1 });
+transactionSchema.index({ payoutId: 1 });
+transactionSchema.index({ 'dispute.status': 1 });
+transactionSchema.index(
+  { utr: 1 },
+  { unique: true, partialFilterExpression: { utr: { $type: 'string' } } }
+);
 
 // Method to approve transaction
 transactionSchema.methods.approve = function (notes = null) {
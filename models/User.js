@@ -1,6 +1,105 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Verification state of a bank account or UPI ID
+const verificationFields = {
+  // Withdrawals are only paid to verified accounts
+  verificationStatus: {
+    type: String,
+    enum: ['unverified', 'pending', 'verified', 'rejected'],
+    default: 'unverified'
+  },
+  // penny_drop (verification provider) or manual (admin review)
+  verificationMethod: {
+    type: String,
+    enum: ['penny_drop', 'manual', null],
+    default: null
+  },
+  verificationProvider: {
+    type: String,
+    default: null
+  },
+  // Provider reference of a penny drop still in progress
+  verificationReference: {
+    type: String,
+    default: null
+  },
+  // When the provider was last asked about a pending penny drop
+  verificationCheckedAt: {
+    type: Date,
+    default: null
+  },
+  // Account holder name as registered with the bank, from the penny drop
+  registeredName: {
+    type: String,
+    default: null
+  },
+  // Reason for a rejection, or why the account needs a manual review
+  verificationNote: {
+    type: String,
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+};
+
+// A saved payout instrument: a bank account or a UPI ID (VPA)
+const payoutMethodSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['bank', 'upi'],
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters'],
+    default: null
+  },
+  // Withdrawals go to the primary method unless another one is chosen
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  // Beneficiary name; for UPI IDs the name the user expects the VPA to carry
+  accountHolderName: {
+    type: String,
+    default: null
+  },
+  bankName: {
+    type: String,
+    default: null
+  },
+  accountNumber: {
+    type: String,
+    default: null
+  },
+  ifscCode: {
+    type: String,
+    default: null
+  },
+  vpa: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  ...verificationFields
+}, {
+  timestamps: true
+});
+
 const userSchema = new mongoose.Schema({
   fullName: {
     type: String,
@@ -35,10 +134,21 @@ const userSchema = new mongoose.Schema({
     default: "user",
     required: true
   },
+  // Available balance. Can go below zero when a refund or chargeback reverses
+  // funds already spent
   balance: {
     type: Number,
-    default: 0,
-    min: 0
+    default: 0
+  },
+  // Reserved for withdrawal requests awaiting payout
+  heldBalance: {
+    type: Number,
+    default: 0
+  },
+  // Funds frozen while a payment dispute is open
+  frozenBalance: {
+    type: Number,
+    default: 0
   },
   bankDetails: {
     bankName: {
@@ -56,11 +166,38 @@ const userSchema = new mongoose.Schema({
     ifscCode: {
       type: String,
       default: null
-    }
+    },
+    ...verificationFields
+  },
+  payoutMethods: [payoutMethodSchema],
+  // Last time a bank account or UPI ID was added or changed; starts the
+  // withdrawal lock of the withdrawal policy
+  bankDetailsChangedAt: {
+    type: Date,
+    default: null
   },
   hasPlacedFirstOrder: {
     type: Boolean,
     default: false
+  },
+  // Rejected UTR submissions; users past UTR_FLAG_THRESHOLD are flagged for admins
+  utrFlags: {
+    reused: {
+      type: Number,
+      default: 0
+    },
+    malformed: {
+      type: Number,
+      default: 0
+    },
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    lastFlaggedAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true
@@ -70,6 +207,9 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ phoneNumber: 1 });
 userSchema.index({ referralCode: 1 });
 userSchema.index({ referredBy: 1 });
+userSchema.index({ 'utrFlags.flagged': 1 });
+userSchema.index({ 'bankDetails.verificationStatus': 1 });
+userSchema.index({ 'payoutMethods.verificationStatus': 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
@@ -89,6 +229,48 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Count a reused or malformed UTR submission against the user
+userSchema.statics.recordUtrFlag = async function (userId, kind) {
+  const threshold = parseInt(process.env.UTR_FLAG_THRESHOLD) || 3;
+
+  const user = await this.findByIdAndUpdate(
+    userId,
+    { $inc: { [`utrFlags.${kind}`]: 1 }, 'utrFlags.lastFlaggedAt': new Date() },
+    { new: true }
+  );
+
+  if (user && !user.utrFlags.flagged && user.utrFlags.reused + user.utrFlags.malformed >= threshold) {
+    user.utrFlags.flagged = true;
+    await this.updateOne({ _id: userId }, { 'utrFlags.flagged': true });
+  }
+  return user;
+};
+
+// The bank account shown as `bankDetails`: the primary method if it is a
+// bank account, otherwise the first saved bank account
+userSchema.methods.primaryBankAccount = function () {
+  const accounts = (this.payoutMethods || []).filter(method => method.type === 'bank');
+  return accounts.find(method => method.isPrimary) || accounts[0] || null;
+};
+
+// Mirror the primary bank account into `bankDetails` for clients that only
+// know a single bank account
+userSchema.statics.syncBankDetails = async function (user) {
+  const account = user.primaryBankAccount();
+  const bankDetails = {
+    bankName: account?.bankName || null,
+    accountHolderName: account?.accountHolderName || null,
+    accountNumber: account?.accountNumber || null,
+    ifscCode: account?.ifscCode || null,
+    ...Object.fromEntries(Object.keys(verificationFields).map(field => [field, account?.[field] ?? null])),
+    verificationStatus: account?.verificationStatus || 'unverified'
+  };
+
+  await this.updateOne({ _id: user._id }, { bankDetails });
+  user.bankDetails = bankDetails;
+  return user;
+};
+
 // Generate referral link
 userSchema.methods.getReferralLink = function () {
   return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/register?ref=${this.referralCode}`;
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+// Every inbound gateway webhook, stored before it is acted upon
+const webhookEventSchema = new mongoose.Schema({
+  // Payment gateway (deposits) or payout provider (withdrawals)
+  source: {
+    type: String,
+    enum: ['payment', 'payout'],
+    default: 'payment'
+  },
+  // Name of the payment gateway or payout provider
+  gateway: {
+    type: String,
+    required: true
+  },
+  // Gateway event id when sent, otherwise derived from the event type and payment
+  dedupeKey: {
+    type: String,
+    default: undefined
+  },
+  eventId: {
+    type: String,
+    default: null
+  },
+  eventType: {
+    type: String,
+    default: 'unknown'
+  },
+  rawType: {
+    type: String,
+    default: null
+  },
+  orderId: {
+    type: String,
+    default: null
+  },
+  paymentId: {
+    type: String,
+    default: null
+  },
+  payoutId: {
+    type: String,
+    default: null
+  },
+  rawBody: {
+    type: String,
+    required: true
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  signatureValid: {
+    type: Boolean,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Why an event was ignored, e.g. a payment this app did not create
+  note: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Number of times the gateway delivered this same event again
+  duplicates: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance. Payment gateways and payout providers
+// can share a name (mock), so the source is part of the key.
+webhookEventSchema.index(
+  { source: 1, gateway: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ paymentId: 1 });
+webhookEventSchema.index({ orderId: 1 });
+webhookEventSchema.index({ payoutId: 1 });
+
+// Ensure virtual fields are serialized
+webhookEventSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
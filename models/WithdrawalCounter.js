@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// A user's withdrawal requests today, updated in the same database transaction
+// as every request so concurrent requests cannot together pass the daily caps
+// and the cooldown of the withdrawal policy
+const withdrawalCounterSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Calendar day counted, YYYY-MM-DD in the policy's timezone; the counts
+  // start over on the first request of a new day
+  day: {
+    type: String,
+    default: null
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  lastRequestedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const WithdrawalCounter = mongoose.model('WithdrawalCounter', withdrawalCounterSchema);
+
+export default WithdrawalCounter;
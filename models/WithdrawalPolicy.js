@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+// Admin-configurable withdrawal rules. There is a single policy document;
+// empty limits (null) are not enforced.
+const withdrawalPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  minAmount: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  maxAmount: {
+    type: Number,
+    default: null
+  },
+  dailyCountLimit: {
+    type: Number,
+    default: null
+  },
+  dailyAmountLimit: {
+    type: Number,
+    default: null
+  },
+  // Minimum time between two withdrawal requests of a user
+  cooldownMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Withdrawals are blocked for this long after a bank account or UPI ID is
+  // added or changed, 0 = no lock
+  bankChangeLockHours: {
+    type: Number,
+    default: 24,
+    min: 0
+  },
+  // Days of the week requests are accepted on, 0 = Sunday
+  allowedDays: {
+    type: [Number],
+    default: [0, 1, 2, 3, 4, 5, 6]
+  },
+  // Hours of the day requests are accepted in, from startHour up to endHour
+  allowedHours: {
+    startHour: { type: Number, default: 0, min: 0, max: 23 },
+    endHour: { type: Number, default: 24, min: 1, max: 24 }
+  },
+  // Days, hours and daily caps are evaluated in this timezone
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+  // Processing fee deducted from the amount paid out
+  fee: {
+    type: {
+      type: String,
+      enum: ['none', 'flat', 'percentage'],
+      default: 'none'
+    },
+    value: { type: Number, default: 0, min: 0 },
+    // Bounds for percentage fees
+    min: { type: Number, default: null },
+    max: { type: Number, default: null }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Get the policy, creating it with the defaults on first use
+withdrawalPolicySchema.statics.getPolicy = function () {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Ensure virtual fields are serialized
+withdrawalPolicySchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const WithdrawalPolicy = mongoose.model('WithdrawalPolicy', withdrawalPolicySchema);
+
+export default WithdrawalPolicy;
@@ -1,12 +1,36 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
+import BankDetailsChange from '../models/BankDetailsChange.js';
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
 import Transaction from '../models/Transaction.js';
 import { authenticate, requireAdmin } from '../middleware/auth.js';
-import { generateReferralCode, getPagination, sanitizeUser } from '../utils/helpers.js';
+import { generateReferralCode, getPagination, normalizeUtr, sanitizeUser } from '../utils/helpers.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { adjustWalletTo, getLedgerBalance, rebuildUserBalance } from '../services/ledgerService.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { processEvent } from '../services/webhookService.js';
+import { settleWithdrawal, releaseWithdrawal, sendPayout } from '../services/withdrawalService.js';
+import { getPayoutProvider, hasPayoutProvider, payoutsEnabled, PAYOUT_EVENT_TYPES } from '../services/payouts/index.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import WithdrawalPolicy from '../models/WithdrawalPolicy.js';
+import { startVerification, reviewPayoutMethod } from '../services/bankVerificationService.js';
+import { ensurePayoutMethods, findPayoutMethod } from '../services/payoutMethodService.js';
+import { PAYOUT_MODES, createPayoutBatch, buildPayoutFile, applyPayoutResponse } from '../services/payoutService.js';
+import StatementImport from '../models/StatementImport.js';
+import { STATEMENT_FORMATS, importStatement } from '../services/statementService.js';
+import { approveDeposit, rejectDeposit } from '../services/depositService.js';
+import AccrualRun from '../models/AccrualRun.js';
+import OrderAccrual from '../models/OrderAccrual.js';
+import { ACCRUAL_LOCK, runAccrual, checkAccrualDay, previewAccrual, presentOrder } from '../services/earningsService.js';
+import JobLock from '../models/JobLock.js';
+import { INSTANCE_ID, acquireLock, holdLock } from '../services/lockService.js';
+import Job from '../models/Job.js';
+import JobRun from '../models/JobRun.js';
+import { getJobHandler } from '../services/jobs/index.js';
+import { isValidSchedule, refreshSchedules, startJob } from '../services/schedulerService.js';
 
 const router = express.Router();
 
@@ -23,6 +47,7 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     totalProducts,
     totalOrders,
     pendingTransactions,
+    openDisputes,
     totalRevenue,
     totalEarningsDistributed
   ] = await Promise.all([
@@ -30,6 +55,7 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     Product.countDocuments(), // Assuming all products are "active" unless otherwise filtered
     Order.countDocuments(),
     Transaction.countDocuments({ status: 'pending' }),
+    Transaction.countDocuments({ 'dispute.status': 'open' }),
     Order.aggregate([
       {
         $lookup: {
@@ -39,8 +65,9 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
           as: 'product'
         }
       },
-      { $unwind: '$product' },
-      { $group: { _id: null, total: { $sum: '$product.price' } } } // Correctly sum revenue
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+      // Price paid at purchase; older orders fall back to the current price
+      { $group: { _id: null, total: { $sum: { $ifNull: ['$terms.price', '$product.price'] } } } }
     ]).then(result => result[0]?.total || 0),
     Transaction.aggregate([
       {
@@ -80,12 +107,12 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
         as: 'product'
       }
     },
-    { $unwind: '$product' },
+    { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
     {
       $group: {
         _id: null,
         monthlyOrders: { $sum: 1 },
-        monthlyRevenue: { $sum: '$product.price' }
+        monthlyRevenue: { $sum: { $ifNull: ['$terms.price', '$product.price'] } }
       }
     }
   ]);
@@ -100,6 +127,7 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
         totalProducts,
         totalOrders,
         pendingTransactions,
+        openDisputes,
         totalRevenue,
         totalEarningsDistributed,
         ...monthlyData
@@ -180,13 +208,228 @@ router.get('/users/:id', asyncHandler(async (req, res) => {
   const referredUsers = await User.find({ referredBy: user.referralCode })
     .select('fullName phoneNumber createdAt hasPlacedFirstOrder');
 
+  // Get the latest changes to the user's bank accounts and UPI IDs
+  const bankDetailsHistory = await BankDetailsChange.find({ userId: user._id })
+    .sort({ createdAt: -1 })
+    .limit(20);
+
   res.json({
     success: true,
     data: {
       user,
       orders,
       transactions,
-      referredUsers
+      referredUsers,
+      bankDetailsHistory
+    }
+  });
+}));
+
+// @desc    Get user wallet ledger
+// @route   GET /api/admin/users/:id/ledger
+// @access  Private/Admin
+router.get('/users/:id/ledger', asyncHandler(async (req, res) => {
+  const { page, limit, reason } = req.query;
+  const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
+
+  const user = await User.findById(req.params.id).select('fullName phoneNumber balance');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const filter = { userId: user._id };
+  if (reason) {
+    filter.reason = reason;
+  }
+
+  const entries = await LedgerEntry.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await LedgerEntry.countDocuments(filter);
+  const ledgerBalance = await getLedgerBalance(user._id);
+
+  res.json({
+    success: true,
+    data: {
+      user,
+      cachedBalance: user.balance,
+      ledgerBalance,
+      inSync: ledgerBalance === user.balance,
+      entries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+// @desc    Recompute cached user balance from the ledger
+// @route   POST /api/admin/users/:id/ledger/rebuild
+// @access  Private/Admin
+router.post('/users/:id/ledger/rebuild', asyncHandler(async (req, res) => {
+  const user = await rebuildUserBalance(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Balance rebuilt from ledger',
+    data: {
+      user
+    }
+  });
+}));
+
+// @desc    Get bank accounts and UPI IDs waiting for verification (admin review queue)
+// @route   GET /api/admin/bank-verifications
+// @access  Private/Admin
+router.get('/bank-verifications', asyncHandler(async (req, res) => {
+  const { page, limit, status = 'pending', method, type } = req.query;
+  const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
+
+  const match = { verificationStatus: status };
+  // manual lists only methods that need an admin decision
+  if (method) {
+    match.verificationMethod = method;
+  }
+  if (type) {
+    match.type = type;
+  }
+
+  const filter = { payoutMethods: { $elemMatch: match } };
+
+  const users = await User.find(filter)
+    .select('fullName phoneNumber payoutMethods createdAt')
+    .sort({ 'payoutMethods.submittedAt': 1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await User.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      // Only the methods in the queue are listed for each user
+      users: users.map(user => ({
+        ...user.toJSON(),
+        payoutMethods: user.payoutMethods.filter(saved => Object.entries(match)
+          .every(([field, value]) => saved[field] === value))
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+// @desc    Approve or reject a user's bank account or UPI ID
+// @route   PUT /api/admin/users/:id/payout-methods/:methodId/verification
+// @access  Private/Admin
+router.put('/users/:id/payout-methods/:methodId/verification', [
+  body('action')
+    .isIn(['approve', 'reject'])
+    .withMessage('Action must be either approve or reject'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const found = await User.findById(req.params.id).select('-password');
+
+  if (!found) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const user = await ensurePayoutMethods(found);
+  const method = findPayoutMethod(user, req.params.methodId);
+
+  if (!method) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout method not found'
+    });
+  }
+
+  const updated = (await reviewPayoutMethod({
+    user,
+    method,
+    approve: req.body.action === 'approve',
+    note: req.body.note,
+    reviewer: req.user
+  })) || user;
+
+  res.json({
+    success: true,
+    message: `${method.type === 'upi' ? 'UPI ID' : 'Bank account'} ${req.body.action === 'approve' ? 'verified' : 'rejected'}`,
+    data: {
+      payoutMethod: updated.payoutMethods.id(method._id),
+      bankDetails: updated.bankDetails
+    }
+  });
+}));
+
+// @desc    Run the penny drop again for a user's bank account or UPI ID
+// @route   POST /api/admin/users/:id/payout-methods/:methodId/verification/retry
+// @access  Private/Admin
+router.post('/users/:id/payout-methods/:methodId/verification/retry', asyncHandler(async (req, res) => {
+  const found = await User.findById(req.params.id).select('-password');
+
+  if (!found) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const user = await ensurePayoutMethods(found);
+  const method = findPayoutMethod(user, req.params.methodId);
+
+  if (!method) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout method not found'
+    });
+  }
+
+  const updated = (await startVerification(user, method)) || user;
+  const payoutMethod = updated.payoutMethods.id(method._id);
+
+  res.json({
+    success: true,
+    message: `${method.type === 'upi' ? 'UPI ID' : 'Bank account'} verification is ${payoutMethod.verificationStatus}`,
+    data: {
+      payoutMethod,
+      bankDetails: updated.bankDetails
     }
   });
 }));
@@ -265,7 +508,7 @@ router.put('/users/:id', asyncHandler(async (req, res) => {
     });
   }
 
-  const allowedFields = ['fullName', 'role', 'balance']; // Use 'role' and 'balance'
+  const allowedFields = ['fullName', 'role']; // Balance changes go through the ledger
   const updateFields = {};
 
   allowedFields.forEach(field => {
@@ -274,11 +517,41 @@ router.put('/users/:id', asyncHandler(async (req, res) => {
     }
   });
 
-  const updatedUser = await User.findByIdAndUpdate(
-    req.params.id,
-    updateFields,
-    { new: true, runValidators: true }
-  ).select('-password');
+  const { balance } = req.body;
+  if (balance !== undefined && (isNaN(parseFloat(balance)) || parseFloat(balance) < 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Balance must be a non-negative number'
+    });
+  }
+
+  const session = await User.startSession();
+  session.startTransaction();
+
+  let updatedUser;
+  try {
+    if (balance !== undefined) {
+      await adjustWalletTo({
+        userId: user._id,
+        balance: parseFloat(balance),
+        description: req.body.adminNotes || `Balance set by admin ${req.user.fullName}`,
+        session
+      });
+    }
+
+    updatedUser = await User.findByIdAndUpdate(
+      req.params.id,
+      updateFields,
+      { new: true, runValidators: true, session }
+    ).select('-password');
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
 
   res.json({
     success: true,
@@ -321,7 +594,7 @@ router.delete('/users/:id', asyncHandler(async (req, res) => {
 // @route   GET /api/admin/transactions
 // @access  Private/Admin
 router.get('/transactions', asyncHandler(async (req, res) => {
-  const { page, limit, type, status } = req.query;
+  const { page, limit, type, status, dispute, refunded, utr, flagged } = req.query;
   const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
 
   const filter = {};
@@ -334,8 +607,26 @@ router.get('/transactions', asyncHandler(async (req, res) => {
     filter.status = status;
   }
 
+  // Dispute status: open, won or lost
+  if (dispute) {
+    filter['dispute.status'] = dispute;
+  }
+
+  if (refunded === 'true') {
+    filter.refundedAmount = { $gt: 0 };
+  }
+
+  if (utr) {
+    filter.utr = normalizeUtr(utr);
+  }
+
+  // Only transactions of users flagged for reused or malformed UTRs
+  if (flagged === 'true') {
+    filter.userId = { $in: await User.find({ 'utrFlags.flagged': true }).distinct('_id') };
+  }
+
   const transactions = await Transaction.find(filter)
-    .populate('userId', 'fullName phoneNumber')
+    .populate('userId', 'fullName phoneNumber utrFlags')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limitNum);
@@ -396,83 +687,180 @@ router.put('/transactions/:id/process', [
     });
   }
 
-  const session = await Transaction.startSession();
-  session.startTransaction();
+  // Deposits are settled with a status-guarded update, so a second admin or a
+  // gateway payment arriving meanwhile cannot credit the wallet twice
+  if (transaction.type === 'deposit') {
+    const processed = action === 'approve'
+      ? await approveDeposit({ transaction, notes: adminNotes || 'Deposit approved by admin' })
+      : await rejectDeposit({ transaction, notes: adminNotes });
+
+    if (!processed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction has already been processed'
+      });
+    }
 
-  try {
-    if (action === 'approve') {
-      if (transaction.type === 'deposit') {
-        // Add amount to user's balance
-        await User.findByIdAndUpdate(
-          transaction.userId._id,
-          { $inc: { balance: transaction.amount } }, // Use 'balance'
-          { session }
-        );
-      } else if (transaction.type === 'withdrawal') {
-        // Deduct amount from user's balance (Note : Already Amount is Deduct with withdrawal req)
-        // const user = await User.findById(transaction.userId._id);
-        // if (user.balance < transaction.amount) { // Check balance
-        //   throw new Error('Insufficient balance for withdrawal');
-        // }
-
-        // await User.findByIdAndUpdate(
-        //   transaction.userId._id,
-        //   { $inc: { balance: -transaction.amount } }, // Use 'balance'
-        //   { session }
-        // );
+    return res.json({
+      success: true,
+      message: `Transaction ${action}d successfully`,
+      data: {
+        transaction: await processed.populate('userId', 'fullName phoneNumber balance'),
+        refund: null
       }
+    });
+  }
 
-      transaction.status = 'success'; // Update status to 'success'
-      transaction.adminNotes = adminNotes;
-    } else {
-      transaction.status = 'rejected'; // Update status to 'rejected'
-      transaction.adminNotes = adminNotes;
-    }
-
-    await transaction.save({ session });
-    await session.commitTransaction();
+  // With a payout provider configured the money is sent automatically and the
+  // withdrawal settles once the provider reports the payout by webhook
+  if (action === 'approve' && transaction.type === 'withdrawal' && payoutsEnabled()) {
+    const sent = await sendPayout({ transaction, notes: adminNotes });
 
-    res.json({
+    return res.json({
       success: true,
-      message: `Transaction ${action}d successfully`,
+      message: 'Withdrawal approved and sent for payout',
       data: {
-        transaction
+        transaction: sent
       }
     });
+  }
+
+  // The transaction is claimed inside the session, so a second admin
+  // processing it at the same time finds it already processed
+  const session = await Transaction.startSession();
+  session.startTransaction();
+  let processed = null;
+  let refund = null;
+
+  try {
+    if (transaction.type === 'withdrawal') {
+      if (action === 'approve') {
+        // Pay the amount out of the hold placed when the withdrawal was requested
+        processed = await settleWithdrawal({ transaction, notes: adminNotes, from: ['pending'], session });
+      } else {
+        // Release the hold back into the wallet
+        const released = await releaseWithdrawal({ transaction, notes: adminNotes, from: ['pending'], session });
+        processed = released?.transaction;
+        refund = released?.refund || null;
+      }
+    } else {
+      processed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: 'pending' },
+        { status: action === 'approve' ? 'success' : 'rejected', adminNotes },
+        { new: true, session }
+      );
+    }
 
+    if (processed) {
+      await session.commitTransaction();
+    } else {
+      await session.abortTransaction();
+    }
   } catch (error) {
     await session.abortTransaction();
     throw error;
   } finally {
     session.endSession();
   }
+
+  if (!processed) {
+    return res.status(400).json({
+      success: false,
+      message: 'Transaction has already been processed'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Transaction ${action}d successfully`,
+    data: {
+      transaction: await processed.populate('userId', 'fullName phoneNumber balance'),
+      refund
+    }
+  });
 }));
 
-// @desc    Get all orders
-// @route   GET /api/admin/orders
+// @desc    Simulate a payout status event with the mock payout provider
+// @route   POST /api/admin/transactions/:id/simulate-payout
+// @access  Private/Admin (only for withdrawals sent with PAYOUT_PROVIDER=mock)
+router.post('/transactions/:id/simulate-payout', [
+  body('event')
+    .optional()
+    .isIn(PAYOUT_EVENT_TYPES.filter(type => type !== 'unknown'))
+    .withMessage('Unsupported event type')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const transaction = await Transaction.findById(req.params.id);
+  const provider = hasPayoutProvider(transaction?.payoutProvider) && getPayoutProvider(transaction.payoutProvider);
+
+  if (!provider?.simulateEvent) {
+    return res.status(404).json({
+      success: false,
+      message: 'Transaction not found'
+    });
+  }
+
+  // Returns the signed webhook, to be posted to /api/transactions/withdraw/webhook/mock
+  res.json({
+    success: true,
+    data: provider.simulateEvent({
+      event: req.body.event,
+      payoutId: transaction.payoutId,
+      reference: transaction.transactionId,
+      amount: transaction.amount,
+      reason: req.body.reason
+    })
+  });
+}));
+
+// @desc    Get stored gateway webhook events
+// @route   GET /api/admin/webhooks
 // @access  Private/Admin
-router.get('/orders', asyncHandler(async (req, res) => {
-  const { page, limit, status } = req.query;
+router.get('/webhooks', asyncHandler(async (req, res) => {
+  const { page, limit, source, status, gateway, eventType, paymentId, payoutId } = req.query;
   const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
 
   const filter = {};
   if (status) {
     filter.status = status;
   }
+  if (gateway) {
+    filter.gateway = gateway;
+  }
+  if (eventType) {
+    filter.eventType = eventType;
+  }
+  if (paymentId) {
+    filter.paymentId = paymentId;
+  }
+  // payment (deposit gateways) or payout (payout providers)
+  if (source) {
+    filter.source = source;
+  }
+  if (payoutId) {
+    filter.payoutId = payoutId;
+  }
 
-  const orders = await Order.find(filter)
-    .populate('userId', 'fullName phoneNumber')
-    .populate('productId', 'productName price')
+  const events = await WebhookEvent.find(filter)
+    .select('-rawBody -headers')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limitNum);
 
-  const total = await Order.countDocuments(filter);
+  const total = await WebhookEvent.countDocuments(filter);
 
   res.json({
     success: true,
     data: {
-      orders,
+      events,
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -483,23 +871,855 @@ router.get('/orders', asyncHandler(async (req, res) => {
   });
 }));
 
-// @desc    Get application analytics
-// @route   GET /api/admin/analytics
+// @desc    Get a single webhook event with its raw body
+// @route   GET /api/admin/webhooks/:id
 // @access  Private/Admin
-router.get('/analytics', asyncHandler(async (req, res) => {
-  const { period = '30' } = req.query;
-  const days = parseInt(period);
+router.get('/webhooks/:id', asyncHandler(async (req, res) => {
+  const event = await WebhookEvent.findById(req.params.id);
 
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-  startDate.setHours(0, 0, 0, 0); // Ensure consistent start time
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook event not found'
+    });
+  }
 
-  // User growth
-  const userGrowth = await User.aggregate([
-    { $match: { createdAt: { $gte: startDate }, role: 'user' } }, // Correctly check for role
-    {
-      $group: {
-        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+  res.json({
+    success: true,
+    data: {
+      event
+    }
+  });
+}));
+
+// @desc    Re-run a stored webhook event
+// @route   POST /api/admin/webhooks/:id/replay
+// @access  Private/Admin
+router.post('/webhooks/:id/replay', asyncHandler(async (req, res) => {
+  const event = await WebhookEvent.findById(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook event not found'
+    });
+  }
+
+  if (!event.signatureValid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Events with an invalid signature cannot be replayed'
+    });
+  }
+
+  if (event.status === 'processed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Event has already been processed'
+    });
+  }
+
+  // Handlers are idempotent, so replaying never applies an event twice
+  const result = await processEvent(event);
+
+  res.json({
+    success: result.status !== 'failed',
+    message: result.status === 'failed' ? `Replay failed: ${result.error}` : `Event ${result.status}`,
+    data: {
+      event: result
+    }
+  });
+}));
+
+// @desc    Import a bank statement and auto-approve deposits it proves
+// @route   POST /api/admin/statements/import
+// @access  Private/Admin
+router.post('/statements/import', express.text({
+  type: ['text/csv', 'text/plain', 'text/tab-separated-values'],
+  limit: '5mb'
+}), asyncHandler(async (req, res) => {
+  // The statement is either posted as the raw CSV body or as JSON { content, format, fileName }
+  const raw = typeof req.body === 'string';
+  const content = raw ? req.body : req.body.content;
+  const format = (raw ? req.query.format : req.body.format) || null;
+  const fileName = (raw ? req.query.fileName : req.body.fileName) || null;
+
+  if (!content || !content.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Statement content is required'
+    });
+  }
+
+  if (format && !STATEMENT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${STATEMENT_FORMATS.join(', ')}`
+    });
+  }
+
+  const statementImport = await importStatement({
+    content,
+    format,
+    fileName,
+    uploadedBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Statement imported: ${statementImport.summary.matched} deposits approved`,
+    data: {
+      statementImport
+    }
+  });
+}));
+
+// @desc    Get imported bank statements
+// @route   GET /api/admin/statements
+// @access  Private/Admin
+router.get('/statements', asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
+
+  const statements = await StatementImport.find()
+    .select('-rows')
+    .populate('uploadedBy', 'fullName phoneNumber')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await StatementImport.countDocuments();
+
+  res.json({
+    success: true,
+    data: {
+      statements,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+// @desc    Get the match report of an imported statement
+// @route   GET /api/admin/statements/:id
+// @access  Private/Admin
+router.get('/statements/:id', asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const statementImport = await StatementImport.findById(req.params.id)
+    .populate('uploadedBy', 'fullName phoneNumber')
+    .populate('rows.transaction', 'transactionId userId amount status utr createdAt');
+
+  if (!statementImport) {
+    return res.status(404).json({
+      success: false,
+      message: 'Statement import not found'
+    });
+  }
+
+  // e.g. ?status=ambiguous,unmatched for the lines that still need a manual look
+  const statuses = status ? status.split(',').map(s => s.trim()).filter(Boolean) : null;
+  const rows = statuses
+    ? statementImport.rows.filter(row => statuses.includes(row.status))
+    : statementImport.rows;
+
+  res.json({
+    success: true,
+    data: {
+      statementImport: {
+        ...statementImport.toJSON(),
+        rows
+      }
+    }
+  });
+}));
+
+// @desc    Get the withdrawal policy
+// @route   GET /api/admin/withdrawal-policy
+// @access  Private/Admin
+router.get('/withdrawal-policy', asyncHandler(async (req, res) => {
+  const policy = await WithdrawalPolicy.getPolicy();
+
+  res.json({
+    success: true,
+    data: {
+      policy
+    }
+  });
+}));
+
+// @desc    Update the withdrawal policy
+// @route   PUT /api/admin/withdrawal-policy
+// @access  Private/Admin
+router.put('/withdrawal-policy', [
+  body(['minAmount', 'cooldownMinutes', 'bankChangeLockHours'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Must be a positive number'),
+  body(['maxAmount', 'dailyCountLimit', 'dailyAmountLimit'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Must be a positive number or null'),
+  body('allowedDays')
+    .optional()
+    .isArray()
+    .withMessage('Allowed days must be a list of weekdays (0 = Sunday)'),
+  body('allowedDays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekdays go from 0 (Sunday) to 6 (Saturday)'),
+  body('allowedHours.startHour')
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Start hour must be between 0 and 23'),
+  body('allowedHours.endHour')
+    .optional()
+    .isInt({ min: 1, max: 24 })
+    .withMessage('End hour must be between 1 and 24'),
+  body('timezone')
+    .optional()
+    .custom(value => Boolean(new Intl.DateTimeFormat('en-US', { timeZone: value })))
+    .withMessage('Unknown timezone'),
+  body('fee.type')
+    .optional()
+    .isIn(['none', 'flat', 'percentage'])
+    .withMessage('Fee type must be none, flat or percentage'),
+  body('fee.value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Fee must be a positive number'),
+  body(['fee.min', 'fee.max'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Fee bounds must be positive numbers or null')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const policy = await WithdrawalPolicy.getPolicy();
+  const allowedFields = [
+    'minAmount',
+    'maxAmount',
+    'dailyCountLimit',
+    'dailyAmountLimit',
+    'cooldownMinutes',
+    'bankChangeLockHours',
+    'allowedDays',
+    'timezone'
+  ];
+
+  allowedFields.forEach(field => {
+    if (req.body[field] !== undefined) {
+      policy[field] = req.body[field];
+    }
+  });
+
+  // Nested settings are merged so a partial update keeps the other values
+  ['startHour', 'endHour'].forEach(field => {
+    if (req.body.allowedHours?.[field] !== undefined) {
+      policy.allowedHours[field] = req.body.allowedHours[field];
+    }
+  });
+  ['type', 'value', 'min', 'max'].forEach(field => {
+    if (req.body.fee?.[field] !== undefined) {
+      policy.fee[field] = req.body.fee[field];
+    }
+  });
+
+  if (policy.allowedHours.startHour >= policy.allowedHours.endHour) {
+    return res.status(400).json({
+      success: false,
+      message: 'Start hour must be before end hour'
+    });
+  }
+
+  policy.updatedBy = req.user._id;
+  await policy.save();
+
+  res.json({
+    success: true,
+    message: 'Withdrawal policy updated successfully',
+    data: {
+      policy
+    }
+  });
+}));
+
+// @desc    Batch pending withdrawals into a bank payout file
+// @route   POST /api/admin/payouts
+// @access  Private/Admin
+router.post('/payouts', [
+  body('transactionIds')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one withdrawal'),
+  body('mode')
+    .optional()
+    .isIn(PAYOUT_MODES)
+    .withMessage(`Mode must be one of: ${PAYOUT_MODES.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { batch, skipped } = await createPayoutBatch({
+    transactionIds: req.body.transactionIds.map(String),
+    mode: req.body.mode,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Payout batch created with ${batch.items.length} withdrawals`,
+    data: {
+      batch,
+      skipped
+    }
+  });
+}));
+
+// @desc    Get payout batches
+// @route   GET /api/admin/payouts
+// @access  Private/Admin
+router.get('/payouts', asyncHandler(async (req, res) => {
+  const { page, limit, status } = req.query;
+  const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
+
+  const filter = {};
+  if (status) {
+    filter.status = status;
+  }
+
+  const batches = await PayoutBatch.find(filter)
+    .select('-items')
+    .populate('createdBy', 'fullName phoneNumber')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await PayoutBatch.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      batches,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+// @desc    Get a payout batch with its withdrawals
+// @route   GET /api/admin/payouts/:id
+// @access  Private/Admin
+router.get('/payouts/:id', asyncHandler(async (req, res) => {
+  const batch = await PayoutBatch.findById(req.params.id)
+    .populate('createdBy', 'fullName phoneNumber')
+    .populate('items.userId', 'fullName phoneNumber');
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout batch not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      batch
+    }
+  });
+}));
+
+// @desc    Download the bank bulk-transfer file of a payout batch
+// @route   GET /api/admin/payouts/:id/file
+// @access  Private/Admin
+router.get('/payouts/:id/file', asyncHandler(async (req, res) => {
+  const batch = await PayoutBatch.findById(req.params.id);
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout batch not found'
+    });
+  }
+
+  res.set('Content-Type', 'text/csv');
+  res.set('Content-Disposition', `attachment; filename="${batch.batchId}.csv"`);
+  res.send(buildPayoutFile(batch));
+}));
+
+// @desc    Upload the bank's response file to settle a payout batch
+// @route   POST /api/admin/payouts/:id/response
+// @access  Private/Admin
+router.post('/payouts/:id/response', express.text({
+  type: ['text/csv', 'text/plain', 'text/tab-separated-values'],
+  limit: '5mb'
+}), asyncHandler(async (req, res) => {
+  // Posted as the raw CSV body or as JSON { content, fileName }
+  const raw = typeof req.body === 'string';
+  const content = raw ? req.body : req.body.content;
+  const fileName = (raw ? req.query.fileName : req.body.fileName) || null;
+
+  if (!content || !content.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Response file content is required'
+    });
+  }
+
+  const batch = await PayoutBatch.findById(req.params.id);
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout batch not found'
+    });
+  }
+
+  const result = await applyPayoutResponse({
+    batch,
+    content,
+    fileName,
+    uploadedBy: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: `${result.success} paid, ${result.failed} failed, ${result.unknown} lines not matched`,
+    data: {
+      batch: result.batch
+    }
+  });
+}));
+
+// @desc    Get daily earnings runs
+// @route   GET /api/admin/accrual-runs
+// @access  Private/Admin
+router.get('/accrual-runs', asyncHandler(async (req, res) => {
+  const { page, limit, status, from, to } = req.query;
+  const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
+
+  const filter = {};
+  if (status) {
+    filter.status = status;
+  }
+  if (from || to) {
+    filter.day = {};
+    if (from) filter.day.$gte = from;
+    if (to) filter.day.$lte = to;
+  }
+
+  const runs = await AccrualRun.find(filter)
+    .select('-failures')
+    .populate('triggeredBy', 'fullName phoneNumber')
+    .sort({ day: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await AccrualRun.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      runs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+// @desc    Get a day's earnings run with what each user was paid
+// @route   GET /api/admin/accrual-runs/:day
+// @access  Private/Admin
+router.get('/accrual-runs/:day', asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
+  const { day } = req.params;
+
+  const run = await AccrualRun.findOne({ day })
+    .populate('triggeredBy', 'fullName phoneNumber');
+
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      message: 'No earnings run for this day'
+    });
+  }
+
+  const [result] = await OrderAccrual.aggregate([
+    { $match: { day } },
+    { $group: { _id: '$userId', orders: { $sum: 1 }, amount: { $sum: '$amount' } } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        credits: [
+          { $sort: { amount: -1, _id: 1 } },
+          { $skip: skip },
+          { $limit: limitNum },
+          {
+            $lookup: {
+              from: 'users',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'user'
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              userId: '$_id',
+              fullName: { $arrayElemAt: ['$user.fullName', 0] },
+              phoneNumber: { $arrayElemAt: ['$user.phoneNumber', 0] },
+              orders: 1,
+              amount: { $round: ['$amount', 2] }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+
+  res.json({
+    success: true,
+    data: {
+      run,
+      credits: result.credits,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+// @desc    Preview or start the daily earnings run for a day
+// @route   POST /api/admin/accrual-runs
+// @access  Private/Admin
+router.post('/accrual-runs', [
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { date, dryRun = false } = req.body;
+  await checkAccrualDay(date);
+
+  if (dryRun === true || dryRun === 'true') {
+    const { page, limit } = req.query;
+    const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
+    const preview = await previewAccrual(date, { skip, limit: limitNum });
+
+    return res.json({
+      success: true,
+      message: `Earnings for ${date} would credit ₹${preview.amount} to ${preview.users} users`,
+      data: {
+        preview,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: preview.users,
+          pages: Math.ceil(preview.users / limitNum)
+        }
+      }
+    });
+  }
+
+  const lease = await acquireLock(ACCRUAL_LOCK);
+  if (!lease) {
+    const lock = await JobLock.findOne({ name: ACCRUAL_LOCK });
+    return res.status(409).json({
+      success: false,
+      message: `Earnings are being paid by ${lock?.holder || 'another instance'}, try again when the run has finished`
+    });
+  }
+
+  // Large days take a while; the run's progress is on GET /accrual-runs/:day
+  holdLock(lease, (signal) => runAccrual(date, { trigger: 'manual', triggeredBy: req.user._id, signal }))
+    .catch(error => console.error(`Manual earnings run for ${date} failed:`, error.message));
+
+  res.status(202).json({
+    success: true,
+    message: `Earnings run for ${date} started`,
+    data: {
+      day: date
+    }
+  });
+}));
+
+// @desc    Get scheduled job locks and the instances holding them
+// @route   GET /api/admin/job-locks
+// @access  Private/Admin
+router.get('/job-locks', asyncHandler(async (req, res) => {
+  const locks = await JobLock.find().sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      // Instance that answered this request
+      instance: INSTANCE_ID,
+      locks
+    }
+  });
+}));
+
+// @desc    Get scheduled jobs with their settings, last run and lock
+// @route   GET /api/admin/jobs
+// @access  Private/Admin
+router.get('/jobs', asyncHandler(async (req, res) => {
+  const [jobs, locks] = await Promise.all([
+    Job.find().populate('updatedBy', 'fullName phoneNumber').sort({ name: 1 }),
+    JobLock.find()
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      jobs: jobs.map(job => ({
+        ...job.toJSON(),
+        // Settings left behind by a job no longer in the code
+        registered: Boolean(getJobHandler(job.name)),
+        lock: locks.find(lock => lock.name === job.name) || null
+      }))
+    }
+  });
+}));
+
+// @desc    Get a scheduled job with its run history
+// @route   GET /api/admin/jobs/:name
+// @access  Private/Admin
+router.get('/jobs/:name', asyncHandler(async (req, res) => {
+  const { page, limit, status } = req.query;
+  const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
+
+  const job = await Job.findOne({ name: req.params.name })
+    .populate('updatedBy', 'fullName phoneNumber');
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  const filter = { job: job.name };
+  if (status) {
+    filter.status = status;
+  }
+
+  const runs = await JobRun.find(filter)
+    .populate('triggeredBy', 'fullName phoneNumber')
+    .sort({ startedAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await JobRun.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      job,
+      registered: Boolean(getJobHandler(job.name)),
+      lock: await JobLock.findOne({ name: job.name }),
+      runs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+// @desc    Update a scheduled job's schedule, retries or enable/disable it
+// @route   PUT /api/admin/jobs/:name
+// @access  Private/Admin
+router.put('/jobs/:name', [
+  body('schedule')
+    .optional()
+    .custom(value => isValidSchedule(String(value)))
+    .withMessage('Schedule must be a valid cron expression'),
+  body('timezone')
+    .optional()
+    .custom(value => Boolean(new Intl.DateTimeFormat('en-US', { timeZone: value })))
+    .withMessage('Unknown timezone'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be true or false'),
+  body('retry.maxAttempts')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Attempts must be between 1 and 10'),
+  body('retry.backoffSeconds')
+    .optional()
+    .isInt({ min: 0, max: 86400 })
+    .withMessage('Backoff must be between 0 and 86400 seconds')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const job = await Job.findOne({ name: req.params.name });
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  ['schedule', 'timezone', 'enabled'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      job[field] = req.body[field];
+    }
+  });
+  ['maxAttempts', 'backoffSeconds'].forEach(field => {
+    if (req.body.retry?.[field] !== undefined) {
+      job.retry[field] = req.body.retry[field];
+    }
+  });
+
+  job.updatedBy = req.user._id;
+  await job.save();
+
+  // Other instances pick the change up on their next refresh
+  await refreshSchedules();
+
+  res.json({
+    success: true,
+    message: 'Job updated successfully',
+    data: {
+      job
+    }
+  });
+}));
+
+// @desc    Run a scheduled job now
+// @route   POST /api/admin/jobs/:name/run
+// @access  Private/Admin
+router.post('/jobs/:name/run', asyncHandler(async (req, res) => {
+  const started = await startJob(req.params.name, { trigger: 'manual', triggeredBy: req.user._id });
+
+  if (!started) {
+    const lock = await JobLock.findOne({ name: req.params.name });
+    return res.status(409).json({
+      success: false,
+      message: `Job is already running on ${lock?.holder || 'another instance'}`
+    });
+  }
+
+  started.finished.catch(error => {
+    console.error(`Manual run of job ${req.params.name} failed:`, error.message);
+  });
+
+  // The outcome is on GET /jobs/:name once the run has ended
+  res.status(202).json({
+    success: true,
+    message: 'Job started',
+    data: {
+      run: started.run
+    }
+  });
+}));
+
+// @desc    Get all orders
+// @route   GET /api/admin/orders
+// @access  Private/Admin
+router.get('/orders', asyncHandler(async (req, res) => {
+  const { page, limit, status } = req.query;
+  const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
+
+  const filter = {};
+  if (status) {
+    filter.status = status;
+  }
+
+  // Price and earnings are only read for orders without recorded terms
+  const orders = await Order.find(filter)
+    .populate('userId', 'fullName phoneNumber')
+    .populate('productId', 'productName price perDayEarning productValidity')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Order.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      orders: orders.map(presentOrder),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+// @desc    Get application analytics
+// @route   GET /api/admin/analytics
+// @access  Private/Admin
+router.get('/analytics', asyncHandler(async (req, res) => {
+  const { period = '30' } = req.query;
+  const days = parseInt(period);
+
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  startDate.setHours(0, 0, 0, 0); // Ensure consistent start time
+
+  // User growth
+  const userGrowth = await User.aggregate([
+    { $match: { createdAt: { $gte: startDate }, role: 'user' } }, // Correctly check for role
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
         newUsers: { $sum: 1 }
       }
     },
@@ -517,11 +1737,11 @@ router.get('/analytics', asyncHandler(async (req, res) => {
         as: 'product'
       }
     },
-    { $unwind: '$product' },
+    { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
     {
       $group: {
         _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
-        dailyRevenue: { $sum: '$product.price' },
+        dailyRevenue: { $sum: { $ifNull: ['$terms.price', '$product.price'] } },
         orderCount: { $sum: 1 }
       }
     },
@@ -3,9 +3,12 @@ import { body, validationResult } from 'express-validator';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import User from '../models/User.js';
+import Transaction from '../models/Transaction.js';
 import { authenticate } from '../middleware/auth.js';
-import { getPagination, calculateReferralBonus } from '../utils/helpers.js';
+import { getPagination, calculateReferralBonus, generateTransactionId } from '../utils/helpers.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { ACCOUNTS, creditWallet, debitWallet } from '../services/ledgerService.js';
+import { presentOrder } from '../services/earningsService.js';
 
 const router = express.Router();
 
@@ -54,11 +57,17 @@ router.post('/', authenticate, [
   // Check if this is user's first order
   const isFirstOrder = !user.hasPlacedFirstOrder;
 
-  // Create order
+  // Create order with the product's current terms
   const order = new Order({
     userId,
     productId,
-    validity: product.productValidity
+    validity: product.productValidity,
+    terms: {
+      productName: product.productName,
+      price: product.price,
+      perDayEarning: product.perDayEarning,
+      validity: product.productValidity
+    }
   });
 
   // Start transaction session for atomic operations
@@ -69,13 +78,33 @@ router.post('/', authenticate, [
     // Save order
     await order.save({ session });
 
+    // Record the purchase in the user's wallet history
+    const purchase = new Transaction({
+      userId,
+      transactionId: generateTransactionId('order'),
+      type: 'order',
+      amount: product.price,
+      status: 'success',
+      paymentMethod: 'wallet',
+      orderId: order._id,
+      description: `Purchase of ${product.productName}`
+    });
+    await purchase.save({ session });
+
     // Deduct amount from user's wallet
+    await debitWallet({
+      userId,
+      amount: product.price,
+      to: ACCOUNTS.SALES,
+      reason: 'purchase',
+      reference: { kind: 'Transaction', id: purchase.transactionId },
+      description: purchase.description,
+      session
+    });
+
     await User.findByIdAndUpdate(
       userId,
-      {
-        $inc: { 'balance': -product.price },
-        $set: { hasPlacedFirstOrder: true }
-      },
+      { $set: { hasPlacedFirstOrder: true } },
       { session }
     );
 
@@ -84,12 +113,28 @@ router.post('/', authenticate, [
       const referrer = await User.findOne({ referralCode: user.referredBy });
       if (referrer) {
         const bonusAmount = calculateReferralBonus();
+        const bonus = new Transaction({
+          userId: referrer._id,
+          transactionId: generateTransactionId('referral'),
+          type: 'referral',
+          amount: bonusAmount,
+          status: 'success',
+          paymentMethod: 'wallet',
+          orderId: order._id,
+          description: `Referral bonus for first order of ${user.fullName}`
+        });
+        await bonus.save({ session });
+
         // Add bonus to referrer's wallet
-        await User.findByIdAndUpdate(
-          referrer._id,
-          { $inc: { 'balance': bonusAmount } },
-          { session }
-        );
+        await creditWallet({
+          userId: referrer._id,
+          amount: bonusAmount,
+          from: ACCOUNTS.REFERRALS,
+          reason: 'referral_bonus',
+          reference: { kind: 'Transaction', id: bonus.transactionId },
+          description: bonus.description,
+          session
+        });
       }
     }
 
@@ -97,14 +142,14 @@ router.post('/', authenticate, [
 
     // Populate order for response
     const populatedOrder = await Order.findById(order._id)
-      .populate('productId', 'productName productImage price')
+      .populate('productId', 'productName productImage')
       .populate('userId', 'fullName phoneNumber');
 
     res.status(201).json({
       success: true,
       message: 'Order placed successfully',
       data: {
-        order: populatedOrder
+        order: presentOrder(populatedOrder)
       }
     });
 
@@ -128,8 +173,9 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
     filter.status = status;
   }
 
+  // Price and earnings are only read for orders without recorded terms
   const orders = await Order.find(filter)
-    .populate('productId', 'productName productImage price perDayEarning')
+    .populate('productId', 'productName productImage price perDayEarning productValidity')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limitNum);
@@ -139,7 +185,7 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      orders,
+      orders: orders.map(presentOrder),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -170,7 +216,7 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      order,
+      order: presentOrder(order),
     }
   });
 }));
@@ -1,12 +1,19 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import Transaction from '../models/Transaction.js';
+import Transaction, { TRANSACTION_TYPES } from '../models/Transaction.js';
 import { authenticate } from '../middleware/auth.js';
-import { generateTransactionId, getPagination, canMakeWithdrawal } from '../utils/helpers.js';
+import { requirePayoutMethod } from '../middleware/bankValidation.js';
+import { getPagination, parseListFilter, calculateWithdrawalFee, getBankChangeLock, isValidUtr, normalizeUtr } from '../utils/helpers.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import crypto from "crypto";
 import dotenv from 'dotenv';
+import PaymentSession from '../models/PaymentSession.js';
 import User from '../models/User.js';
+import WithdrawalPolicy from '../models/WithdrawalPolicy.js';
+import { checkWithdrawal, createWithdrawal } from '../services/withdrawalService.js';
+import { openDepositSession, confirmDeposit } from '../services/depositService.js';
+import { recordEvent, processEvent, needsProcessing } from '../services/webhookService.js';
+import { getGateway, hasGateway, EVENT_TYPES } from '../services/gateways/index.js';
+import { hasPayoutProvider } from '../services/payouts/index.js';
 
 dotenv.config();
 
@@ -16,25 +23,8 @@ const router = express.Router();
 // @desc    Create deposit request
 // @route   POST /api/transactions/deposit
 // @access  Private
-
-
-var timeout = process.env.PAYMENT_TIMEOUT || 5 * 60 * 1000;
 var upi_id = process.env.UPI_ADDRESS || "pay://jakjdk.jfljsa?fjlajdk"
 
-var tr_id = "";
-var deposit_busy = false;
-
-var reset = true;
-
-function resetval() {
-  if (!reset) {
-    console.log("Resetting Values !!");
-    deposit_busy = false;
-    tr_id = "";
-    reset = true;
-  }
-}
-
 router.post('/deposit', authenticate, [
   body('amount')
     .isFloat({ min: 1 })
@@ -53,53 +43,144 @@ router.post('/deposit', authenticate, [
     });
   }
 
-  if (deposit_busy) {
+  const { amount, paymentMethod } = req.body;
+
+  // Every deposit gets its own payment session, so any number can be open at once
+  const { transaction, paymentSession, checkout, timeout } = await openDepositSession({
+    user: req.user,
+    amount,
+    paymentMethod
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Deposit request submitted successfully',
+    data: {
+      timeout,
+      expiresAt: paymentSession.expiresAt,
+      upi_id: `${upi_id}=${Number(amount).toFixed(2)}&tr=${transaction.transactionId}`,
+      tr_id: transaction.transactionId,
+      // Gateway specific options for the client side checkout
+      gateway: transaction.gateway,
+      checkout,
+      transaction
+    }
+  });
+}));
+
+// @desc    Verify checkout callback and credit the deposit
+// @route   POST /api/transactions/deposit/verify
+// @access  Private
+router.post('/deposit/verify', authenticate, [
+  body('tr_id')
+    .notEmpty()
+    .withMessage('Transaction ID is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      message: 'Gatway is Busy',
+      message: 'Validation failed',
+      errors: errors.array()
     });
   }
-  reset = false;
 
-  const { amount, paymentMethod } = req.body;
-  const userId = req.user._id;
+  const paymentSession = await PaymentSession.findOne({
+    transactionId: req.body.tr_id,
+    userId: req.user._id
+  });
+  if (!paymentSession) {
+    return res.status(404).json({
+      success: false,
+      message: 'Deposit not found'
+    });
+  }
 
-  let transac_id = generateTransactionId('deposit')
-  tr_id = transac_id;
+  // The rest of the body is the gateway's own checkout callback payload
+  const { valid, orderId, paymentId } = getGateway(paymentSession.gateway).verifyCheckout(req.body);
+  if (!valid || orderId !== paymentSession.gatewayOrderId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid payment signature'
+    });
+  }
 
-  // Create deposit transaction
-  const transaction = new Transaction({
-    userId,
-    transactionId: transac_id,
-    type: 'deposit',
-    amount,
-    status: 'pending',
-    paymentMethod,
-  });
+  // Safe to repeat: the webhook for the same payment will not credit twice
+  await confirmDeposit({ paymentSession, paymentId, description: `Checkout payment ${paymentId}` });
 
-  await transaction.save();
+  const transaction = await Transaction.findById(paymentSession.transaction);
 
-  res.status(201).json({
+  res.json({
     success: true,
-    message: 'Deposit request submitted successfully',
+    message: 'Payment verified',
     data: {
-      timeout,
-      upi_id: `${upi_id}=${Number(amount).toFixed(2)}`,
-      tr_id,
       transaction
     }
   });
+}));
+
+// @desc    Simulate a gateway event for a deposit with the mock gateway
+// @route   POST /api/transactions/deposit/simulate
+// @access  Private (only with the mock gateway, see MOCK_PROVIDERS_ENABLED)
+router.post('/deposit/simulate', authenticate, [
+  body('tr_id')
+    .notEmpty()
+    .withMessage('Transaction ID is required'),
+  body('event')
+    .optional()
+    .isIn(EVENT_TYPES.filter(type => type !== 'unknown'))
+    .withMessage('Unsupported event type'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be positive')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const paymentSession = await PaymentSession.findOne({
+    transactionId: req.body.tr_id,
+    userId: req.user._id
+  });
+  const gateway = paymentSession && hasGateway(paymentSession.gateway) && getGateway(paymentSession.gateway);
 
-  deposit_busy = true;
+  if (!gateway?.simulateEvent) {
+    return res.status(404).json({
+      success: false,
+      message: 'Transaction not found'
+    });
+  }
 
-  setTimeout(() => {
-    resetval();
-  }, timeout);
+  // Refund and dispute events refer to the payment that settled the deposit
+  const transaction = await Transaction.findById(paymentSession.transaction);
 
+  // Returns the signed checkout callback and webhook, to be posted to
+  // /deposit/verify and /deposit/received respectively
+  res.json({
+    success: true,
+    data: gateway.simulateEvent({
+      event: req.body.event,
+      orderId: paymentSession.gatewayOrderId,
+      paymentId: transaction.gatewayPaymentId || undefined,
+      amount: req.body.amount ? Number(req.body.amount) : paymentSession.amount,
+      reason: req.body.reason
+    })
+  });
 }));
 
+// @desc    Check deposit status
+// @route   POST /api/transactions/deposit/check
+// @access  Private
 router.post('/deposit/check', authenticate, [
   body('tr_id')
+    .notEmpty()
+    .withMessage('Transaction ID is required')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -111,7 +192,7 @@ router.post('/deposit/check', authenticate, [
   }
   const { tr_id } = req.body;
 
-  const transaction = await Transaction.findOne({ transactionId: tr_id });
+  const transaction = await Transaction.findOne({ transactionId: tr_id, userId: req.user._id });
   if (!transaction) {
     return res.status(404).json({
       success: false,
@@ -119,91 +200,71 @@ router.post('/deposit/check', authenticate, [
     });
   }
 
+  const paymentSession = await PaymentSession.findOne({ transaction: transaction._id });
+
   res.status(200).json({
     success: true,
     data: {
-      status: transaction?.status
+      status: transaction.status,
+      session: paymentSession && {
+        status: paymentSession.status,
+        expiresAt: paymentSession.expiresAt
+      }
     }
   })
 
 }));
 
 // @desc    Payment received webhook
-// @route   POST /api/transactions/received
-// @access  Private Access for razorypay
+// @route   POST /api/transactions/deposit/received/:gateway?
+// @access  Public, verified with the gateway's webhook signature
+router.post('/deposit/received/:gateway?', asyncHandler(async (req, res) => {
+  const gatewayName = req.params.gateway || process.env.PAYMENT_GATEWAY || 'razorpay';
+  if (!hasGateway(gatewayName)) {
+    return res.status(404).send('Unknown gateway.');
+  }
+
+  // Every signed delivery is stored first, with its raw body
+  const recorded = await recordEvent({
+    gatewayName,
+    rawBody: req.rawBody,
+    body: req.body,
+    headers: req.headers
+  });
 
-const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || 'your_webhook_secret_here';
+  if (!recorded) {
+    console.error(`${gatewayName} webhook signature verification failed!`);
+    return res.status(401).send('Invalid signature.');
+  }
 
-router.post('/deposit/received', asyncHandler(async (req, res) => {
-  const signature = req.headers['x-razorpay-signature'];
+  const { webhookEvent, duplicate } = recorded;
 
-  // Check if a signature is present
-  if (!signature) {
-    console.error('Webhook received without a signature.');
-    return res.status(400).send('Webhook request is missing a signature.');
+  // A redelivery of an event that was already applied must not credit again
+  if (duplicate && !needsProcessing(webhookEvent)) {
+    return res.status(200).send('Duplicate event, already processed.');
   }
 
-  // Generate a signature using the HMAC SHA256 algorithm and the raw request body
-  const expectedSignature = crypto
-    .createHmac('sha256', RAZORPAY_WEBHOOK_SECRET)
-    .update(req.rawBody.toString())
-    .digest('hex');
-
-  // Compare the received signature with the expected one
-  if (expectedSignature === signature) {
-    console.log('Webhook signature verified successfully!');
-
-    // Now, process the event payload
-    const event = req.body.event;
-    const payload = req.body.payload;
-
-    // Check for the 'payment.captured' event
-    if (event === 'payment.captured') {
-      const payment = payload.payment.entity;
-      console.log('Payment Captured Event Received!');
-      console.log('Payment ID:', payment.id);
-      console.log('Amount:', payment.amount / 100, payment.currency);
-      console.log('Status:', payment.status);
-
-      // You would add your business logic here, such as:
-      // - Updating your database with the payment status.
-      // - Sending a confirmation email to the customer.
-      // - Fulfilling the order.
-      // - etc.
-
-      // IMPORTANT: Your response must be a 2xx HTTP status code to acknowledge receipt.
-      res.status(200).send('Webhook received and processed.');
-
-      if (tr_id) {
-        const transaction = await Transaction.findOneAndUpdate(
-          { transactionId: tr_id, amount: (payment.amount / 100) },
-          {
-            status: "success"
-          }
-        );
-        await User.findByIdAndUpdate(transaction.userId, {
-          $inc: { balance: transaction.amount }
-        })
-        resetval();
-      }
+  const result = await processEvent(webhookEvent);
 
-    } else {
-      console.log('Received an event we are not handling:', event);
-      // Respond with a 200 OK even for unhandled events
-      res.status(200).send('Event received, but not processed by this handler.');
-    }
-  } else {
-    // If the signatures do not match, send a 400 Bad Request
-    console.error('Webhook signature verification failed!');
-    res.status(400).send('Invalid signature.');
+  if (result.status === 'failed') {
+    // A non 2xx response makes the gateway retry; admins can also replay it
+    return res.status(500).send('Event could not be processed.');
   }
+
+  // IMPORTANT: Your response must be a 2xx HTTP status code to acknowledge receipt.
+  res.status(200).send(`Event ${result.status}.`);
 }));
 
 
 
 router.post('/deposit/utr', authenticate, [
-  body('utr'),
+  body('utr')
+    .trim()
+    .notEmpty()
+    .withMessage('UTR is required'),
   body('tr_id')
+    .notEmpty()
+    .withMessage('Transaction ID is required')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -213,11 +274,45 @@ router.post('/deposit/utr', authenticate, [
       errors: errors.array()
     });
   }
-  const { utr, tr_id } = req.body;
+  const { tr_id } = req.body;
+  const utr = normalizeUtr(req.body.utr);
+
+  if (!isValidUtr(utr)) {
+    await User.recordUtrFlag(req.user._id, 'malformed');
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid UTR. Enter the 12 digit UPI/IMPS reference or the NEFT/RTGS UTR'
+    });
+  }
+
+  const usedBy = await Transaction.findOne({ utr, transactionId: { $ne: tr_id } });
+  if (usedBy) {
+    await User.recordUtrFlag(req.user._id, 'reused');
+    return res.status(400).json({
+      success: false,
+      message: 'This UTR has already been used'
+    });
+  }
 
-  const transaction = await Transaction.findOneAndUpdate({ transactionId: tr_id }, {
-    utr
-  }, { new: true });
+  // A UTR for an expired deposit means the user paid late; reopen it for review
+  let transaction;
+  try {
+    transaction = await Transaction.findOneAndUpdate({
+      transactionId: tr_id,
+      userId: req.user._id,
+      type: 'deposit',
+      status: { $in: ['pending', 'expired'] }
+    }, {
+      utr,
+      status: 'pending'
+    }, { new: true });
+  } catch (error) {
+    // Another deposit took the same UTR since the check above
+    if (error.code === 11000) {
+      await User.recordUtrFlag(req.user._id, 'reused');
+    }
+    throw error;
+  }
   if (!transaction) {
     return res.status(404).json({
       success: false,
@@ -241,8 +336,12 @@ router.post('/deposit/utr', authenticate, [
 router.post('/withdraw', authenticate, [
   body('amount')
     .isFloat({ min: 1 })
-    .withMessage('Withdrawal amount must be at least ₹1')
-], asyncHandler(async (req, res) => {
+    .withMessage('Withdrawal amount must be at least ₹1'),
+  body('payoutMethodId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid payout method')
+], requirePayoutMethod, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -252,37 +351,38 @@ router.post('/withdraw', authenticate, [
     });
   }
 
-  const { amount } = req.body;
+  const amount = Number(req.body.amount);
   const user = req.user;
 
-  // Check if user can make withdrawal
-  const { canWithdraw, errors: withdrawalErrors } = canMakeWithdrawal(user, amount);
+  // Check the request against the withdrawal policy
+  const { canWithdraw, errors: withdrawalErrors, violations, fee } = await checkWithdrawal({ user, amount });
 
   if (!canWithdraw) {
     return res.status(400).json({
       success: false,
-      message: 'No Enough Balance',
-      errors: withdrawalErrors
+      message: violations[0].message,
+      code: violations[0].code,
+      errors: withdrawalErrors,
+      violations
     });
   }
 
-  // Create withdrawal transaction
-  const transaction = new Transaction({
-    userId: user._id,
-    transactionId: generateTransactionId('withdrawal'),
-    type: 'withdrawal',
-    amount,
-    status: 'pending',
-  });
-
-  await transaction.save();
-
-  await User.findByIdAndUpdate(
-    user._id,
-    {
-      $inc: { 'balance': -transaction.amount },
+  // Create withdrawal transaction; its amount is held until an admin processes it
+  let transaction;
+  try {
+    transaction = await createWithdrawal({ user, amount, fee, payoutMethod: req.payoutMethod });
+  } catch (error) {
+    if (!error.violation) {
+      throw error;
     }
-  );
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.violation.code,
+      errors: [error.message],
+      violations: [error.violation]
+    });
+  }
 
   res.status(201).json({
     success: true,
@@ -293,6 +393,66 @@ router.post('/withdraw', authenticate, [
   });
 }));
 
+// @desc    Get the withdrawal limits and the fee for an amount
+// @route   GET /api/transactions/withdraw/policy
+// @access  Private
+router.get('/withdraw/policy', authenticate, asyncHandler(async (req, res) => {
+  const policy = await WithdrawalPolicy.getPolicy();
+  const amount = Number(req.query.amount) || null;
+  const fee = amount ? calculateWithdrawalFee(amount, policy.fee) : null;
+
+  res.json({
+    success: true,
+    data: {
+      policy,
+      // Set while withdrawals are locked after a bank details change
+      lockedUntil: getBankChangeLock(req.user, policy),
+      quote: amount && {
+        amount,
+        fee,
+        netAmount: Math.round((amount - fee) * 100) / 100
+      }
+    }
+  });
+}));
+
+// @desc    Payout status webhook
+// @route   POST /api/transactions/withdraw/webhook/:provider?
+// @access  Public, verified with the payout provider's webhook signature
+router.post('/withdraw/webhook/:provider?', asyncHandler(async (req, res) => {
+  const providerName = req.params.provider || process.env.PAYOUT_PROVIDER;
+  if (!hasPayoutProvider(providerName)) {
+    return res.status(404).send('Unknown payout provider.');
+  }
+
+  const recorded = await recordEvent({
+    source: 'payout',
+    gatewayName: providerName,
+    rawBody: req.rawBody,
+    body: req.body,
+    headers: req.headers
+  });
+
+  if (!recorded) {
+    console.error(`${providerName} payout webhook signature verification failed!`);
+    return res.status(401).send('Invalid signature.');
+  }
+
+  const { webhookEvent, duplicate } = recorded;
+
+  if (duplicate && !needsProcessing(webhookEvent)) {
+    return res.status(200).send('Duplicate event, already processed.');
+  }
+
+  const result = await processEvent(webhookEvent);
+
+  if (result.status === 'failed') {
+    return res.status(500).send('Event could not be processed.');
+  }
+
+  res.status(200).send(`Event ${result.status}.`);
+}));
+
 // @desc    Get user transactions
 // @route   GET /api/transactions
 // @access  Private
@@ -303,7 +463,15 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
   const filter = { userId: req.user._id };
 
   if (type) {
-    filter.type = type;
+    // Accept a single type or a list (e.g. earning,referral)
+    const types = parseListFilter(type, TRANSACTION_TYPES);
+    if (!types) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${TRANSACTION_TYPES.join(', ')}`
+      });
+    }
+    filter.type = { $in: types };
   }
 
   if (status) {
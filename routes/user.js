@@ -2,15 +2,27 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import Order from '../models/Order.js';
-import Transaction from '../models/Transaction.js';
+import Transaction, { TRANSACTION_TYPES } from '../models/Transaction.js';
+import Ifsc from '../models/Ifsc.js';
+import Notification from '../models/Notification.js';
 import { authenticate } from '../middleware/auth.js';
-import { validateBankDetails } from '../middleware/bankValidation.js';
-import { sanitizeUser, getPagination } from '../utils/helpers.js';
-import { getUserEarningsSummary } from '../services/earningsService.js';
+import { validateBankDetails, validatePayoutMethod } from '../middleware/bankValidation.js';
+import {
+  getPayoutMethods,
+  addPayoutMethod,
+  updatePayoutMethod,
+  removePayoutMethod,
+  saveBankAccount
+} from '../services/payoutMethodService.js';
+import { sanitizeUser, getPagination, parseListFilter } from '../utils/helpers.js';
+import { getUserEarningsSummary, presentOrder } from '../services/earningsService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
+// Where a change came from, kept in the bank details history
+const requestMeta = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') || null });
+
 // @desc    Get user profile
 // @route   GET /api/user/profile
 // @access  Private
@@ -109,7 +121,8 @@ router.put('/change-password', authenticate, [
 // @access  Private
 router.route('/bank-details')
   .get(authenticate, asyncHandler(async (req, res) => {
-    const user = await User.findById(req.user._id);
+    // A penny drop may have completed since the details were submitted
+    const user = await getPayoutMethods(await User.findById(req.user._id).select('-password'));
     
     res.json({
       success: true,
@@ -120,27 +133,134 @@ router.route('/bank-details')
   }))
   .put(authenticate, validateBankDetails, asyncHandler(async (req, res) => {
     const { bankName, accountHolderName, accountNumber, ifscCode } = req.body;
-    
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      {
-        'bankDetails.bankName': bankName,
-        'bankDetails.accountHolderName': accountHolderName,
-        'bankDetails.accountNumber': accountNumber,
-        'bankDetails.ifscCode': ifscCode,
-      },
-      { new: true, runValidators: true }
-    );
+
+    // Updates the primary bank account among the user's payout methods
+    const user = await saveBankAccount(req.user, { bankName, accountHolderName, accountNumber, ifscCode }, requestMeta(req));
 
     res.json({
       success: true,
-      message: 'Bank details updated successfully',
+      message: user.bankDetails.verificationStatus === 'verified'
+        ? 'Bank details updated successfully'
+        : 'Bank details updated, verification is in progress',
       data: {
         bankDetails: user.bankDetails
       }
     });
   }));
 
+// @desc    Get/Add payout methods (bank accounts and UPI IDs)
+// @route   GET/POST /api/user/payout-methods
+// @access  Private
+router.route('/payout-methods')
+  .get(authenticate, asyncHandler(async (req, res) => {
+    // A penny drop may have completed since the methods were added
+    const user = await getPayoutMethods(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        payoutMethods: user.payoutMethods
+      }
+    });
+  }))
+  .post(authenticate, validatePayoutMethod, asyncHandler(async (req, res) => {
+    const { type, label, isPrimary, bankName, accountHolderName, accountNumber, ifscCode, vpa } = req.body;
+
+    const { user, method } = await addPayoutMethod(req.user, {
+      type,
+      label: label && String(label).trim(),
+      isPrimary: isPrimary === true || isPrimary === 'true',
+      bankName,
+      accountHolderName,
+      accountNumber,
+      ifscCode,
+      vpa
+    }, requestMeta(req));
+
+    res.status(201).json({
+      success: true,
+      message: method.verificationStatus === 'verified'
+        ? 'Payout method added successfully'
+        : 'Payout method added, verification is in progress',
+      data: {
+        payoutMethod: method,
+        payoutMethods: user.payoutMethods
+      }
+    });
+  }));
+
+// @desc    Rename a payout method or make it the primary / Delete a payout method
+// @route   PATCH/DELETE /api/user/payout-methods/:methodId
+// @access  Private
+router.route('/payout-methods/:methodId')
+  .patch(authenticate, [
+    body('label')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Label cannot exceed 50 characters'),
+    body('isPrimary')
+      .optional()
+      .isBoolean()
+      .withMessage('isPrimary must be a boolean')
+  ], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { user, method } = await updatePayoutMethod(req.user, req.params.methodId, {
+      label: req.body.label,
+      isPrimary: req.body.isPrimary === true || req.body.isPrimary === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: 'Payout method updated successfully',
+      data: {
+        payoutMethod: method,
+        payoutMethods: user.payoutMethods
+      }
+    });
+  }))
+  .delete(authenticate, asyncHandler(async (req, res) => {
+    const user = await removePayoutMethod(req.user, req.params.methodId, requestMeta(req));
+
+    res.json({
+      success: true,
+      message: 'Payout method removed successfully',
+      data: {
+        payoutMethods: user.payoutMethods
+      }
+    });
+  }));
+
+// @desc    Look up a bank branch by IFSC code
+// @route   GET /api/user/ifsc/:code
+// @access  Private
+router.get('/ifsc/:code', authenticate, asyncHandler(async (req, res) => {
+  const branch = await Ifsc.findOne({ ifsc: req.params.code.trim().toUpperCase() })
+    .select('ifsc bank branch address city district state micr');
+
+  if (!branch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown IFSC code'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      branch
+    }
+  });
+}));
+
 // @desc    Get wallet balance
 // @route   GET /api/user/wallet
 // @access  Private
@@ -149,7 +269,12 @@ router.get('/wallet', authenticate, asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      balance: user.balance
+      balance: user.balance,
+      availableBalance: user.balance,
+      heldBalance: user.heldBalance,
+      frozenBalance: user.frozenBalance,
+      // Everything the user's ledger accounts hold, spendable or not
+      totalBalance: user.balance + user.heldBalance + user.frozenBalance
     }
   });
 }));
@@ -187,7 +312,7 @@ router.get('/dashboard', authenticate, asyncHandler(async (req, res) => {
   
   // Get recent orders
   const recentOrders = await Order.find({ userId })
-    .populate('productId', 'productName productImage')
+    .populate('productId', 'productName productImage price perDayEarning productValidity')
     .sort({ createdAt: -1 })
     .limit(2);
 
@@ -212,7 +337,7 @@ router.get('/dashboard', authenticate, asyncHandler(async (req, res) => {
     success: true,
     data: {
       earnings: earningsSummary,
-      recentOrders,
+      recentOrders: recentOrders.map(presentOrder),
       recentTransactions,
       referralStats,
       walletBalance: user.balance
@@ -234,7 +359,7 @@ router.get('/orders', authenticate, asyncHandler(async (req, res) => {
 
   
   const orders = await Order.find(filter)
-    .populate('productId', 'productName productImage price')
+    .populate('productId', 'productName productImage price perDayEarning productValidity')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limitNum);
@@ -244,7 +369,7 @@ router.get('/orders', authenticate, asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      orders,
+      orders: orders.map(presentOrder),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -264,7 +389,15 @@ router.get('/transactions', authenticate, asyncHandler(async (req, res) => {
   
   const filter = { userId: req.user._id };
   if (type) {
-    filter.type = type;
+    // Accept a single type or a list (e.g. earning,referral)
+    const types = parseListFilter(type, TRANSACTION_TYPES);
+    if (!types) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${TRANSACTION_TYPES.join(', ')}`
+      });
+    }
+    filter.type = { $in: types };
   }
 
   const transactions = await Transaction.find(filter)
@@ -288,4 +421,59 @@ router.get('/transactions', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Get notifications
+// @route   GET /api/user/notifications
+// @access  Private
+router.get('/notifications', authenticate, asyncHandler(async (req, res) => {
+  const { page, limit, unread } = req.query;
+  const { page: pageNum, limit: limitNum, skip } = getPagination(page, limit);
+
+  const filter = { userId: req.user._id };
+  if (unread === 'true') {
+    filter.readAt = null;
+  }
+
+  const notifications = await Notification.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Notification.countDocuments(filter);
+  const unreadCount = await Notification.countDocuments({ userId: req.user._id, readAt: null });
+
+  res.json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+// @desc    Mark notifications as read, one by id or `all`
+// @route   PUT /api/user/notifications/:id/read
+// @access  Private
+router.put('/notifications/:id/read', authenticate, asyncHandler(async (req, res) => {
+  const filter = { userId: req.user._id, readAt: null };
+  if (req.params.id !== 'all') {
+    filter._id = req.params.id;
+  }
+
+  const result = await Notification.updateMany(filter, { readAt: new Date() });
+
+  res.json({
+    success: true,
+    message: 'Notifications marked as read',
+    data: {
+      updated: result.modifiedCount
+    }
+  });
+}));
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import Ifsc from '../models/Ifsc.js';
+import IfscDirectory from '../models/IfscDirectory.js';
+import { parseCsv } from '../utils/csv.js';
+
+// Load environment variables
+dotenv.config();
+
+// Column names used by the RBI list and the razorpay/ifsc release CSV
+const COLUMNS = {
+  ifsc: ['IFSC', 'IFSC CODE'],
+  bank: ['BANK', 'BANK NAME'],
+  branch: ['BRANCH', 'BRANCH NAME'],
+  address: ['ADDRESS'],
+  city: ['CITY', 'CITY1', 'CENTRE'],
+  district: ['DISTRICT', 'CITY2'],
+  state: ['STATE'],
+  micr: ['MICR', 'MICR CODE']
+};
+
+const BATCH_SIZE = 1000;
+
+const clean = (value) => (value && !['NA', 'N/A', '-'].includes(value.toUpperCase()) ? value : null);
+
+const importIfsc = async () => {
+  const args = process.argv.slice(2);
+  // Only the full RBI list may be marked complete, never the sample
+  const complete = args.includes('--complete');
+  const file = args.find(arg => !arg.startsWith('--'))
+    || fileURLToPath(new URL('../data/ifsc-sample.csv', import.meta.url));
+
+  if (complete && !args.some(arg => !arg.startsWith('--'))) {
+    console.error('❌ --complete needs the path of the full IFSC list');
+    process.exit(1);
+  }
+
+  try {
+    // Connect to database
+    await connectDB();
+
+    console.log(`🏦 Importing IFSC codes from ${file}...`);
+
+    // Parsed as a whole: address fields can hold quoted line breaks
+    const rows = parseCsv(fs.readFileSync(file, 'utf8'), ',')
+      .filter(row => row.some(value => value));
+    let columns = null;
+    let width = 0;
+    let batch = [];
+    let imported = 0;
+    let skipped = 0;
+    let malformed = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await Ifsc.bulkWrite(batch, { ordered: false });
+      imported += batch.length;
+      batch = [];
+    };
+
+    for (const [index, row] of rows.entries()) {
+      // The first line names the columns
+      if (!columns) {
+        width = row.length;
+        const header = row.map(name => name.toUpperCase());
+        columns = Object.fromEntries(
+          Object.entries(COLUMNS).map(([field, names]) => [field, header.findIndex(name => names.includes(name))])
+        );
+        if (columns.ifsc === -1 || columns.bank === -1) {
+          throw new Error('The file needs IFSC and BANK columns');
+        }
+        continue;
+      }
+
+      // A row with more or fewer fields than the header was not read right
+      if (row.length !== width) {
+        malformed += 1;
+        console.log(`- Record ${index + 1}: ${row.length} fields instead of ${width}, skipped`);
+        continue;
+      }
+
+      const record = Object.fromEntries(
+        Object.entries(columns).map(([field, index]) => [field, index === -1 ? null : clean(row[index])])
+      );
+
+      if (!record.ifsc || !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(record.ifsc.toUpperCase()) || !record.bank) {
+        skipped += 1;
+        continue;
+      }
+
+      record.ifsc = record.ifsc.toUpperCase();
+      batch.push({
+        updateOne: {
+          filter: { ifsc: record.ifsc },
+          update: { $set: record },
+          upsert: true
+        }
+      });
+
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+        console.log(`- ${imported} codes imported`);
+      }
+    }
+
+    await flush();
+
+    // Codes lost to unreadable or invalid rows would be rejected as unknown
+    const markComplete = complete && malformed === 0 && skipped === 0;
+
+    await IfscDirectory.findOneAndUpdate(
+      { key: 'default' },
+      { complete: markComplete, source: file, importedCount: imported, importedAt: new Date() },
+      { upsert: true }
+    );
+
+    console.log(`✅ Imported ${imported} IFSC codes, skipped ${skipped} invalid and ${malformed} malformed rows.`);
+    if (markComplete) {
+      console.log('🔒 Directory marked complete: unknown IFSC codes are now rejected.');
+    } else if (complete) {
+      console.log('⚠️  Directory not marked complete because rows were skipped: only the IFSC format is enforced. Fix the file and import it again.');
+      process.exitCode = 1;
+    } else {
+      console.log('ℹ️  Directory not marked complete: only the IFSC format is enforced. Re-run with --complete for the full list.');
+    }
+  } catch (error) {
+    console.error('❌ Error importing IFSC codes:', error.message);
+  } finally {
+    process.exit();
+  }
+};
+
+// Run the import
+importIfsc();
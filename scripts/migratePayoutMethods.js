@@ -0,0 +1,35 @@
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import User from '../models/User.js';
+import { ensurePayoutMethods } from '../services/payoutMethodService.js';
+
+// Load environment variables
+dotenv.config();
+
+const migratePayoutMethods = async () => {
+  try {
+    // Connect to database
+    await connectDB();
+
+    console.log('🏦 Moving saved bank details into payout methods...');
+
+    const users = await User.find({
+      'bankDetails.accountNumber': { $ne: null },
+      'payoutMethods.0': { $exists: false }
+    }).select('-password');
+
+    for (const user of users) {
+      await ensurePayoutMethods(user);
+      console.log(`- ${user.fullName}: ${user.bankDetails.bankName || 'bank account'} (${user.bankDetails.verificationStatus})`);
+    }
+
+    console.log(`✅ Migrated ${users.length} users.`);
+  } catch (error) {
+    console.error('❌ Error migrating payout methods:', error.message);
+  } finally {
+    process.exit();
+  }
+};
+
+// Run the migration
+migratePayoutMethods();
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import Transaction from '../models/Transaction.js';
+import { normalizeUtr } from '../utils/helpers.js';
+
+// Load environment variables
+dotenv.config();
+
+// The unique UTR index is built here, once the data allows it
+mongoose.set('autoIndex', false);
+
+const BATCH_SIZE = 1000;
+
+// UTRs stored before they were normalized and made unique: rewrite them in
+// their canonical form, then report UTRs shared by several transactions,
+// which have to be resolved by hand before the unique index can be built
+const normalizeUtrs = async () => {
+  try {
+    // Connect to database
+    await connectDB();
+
+    console.log('🔎 Normalizing stored UTRs...');
+
+    const cursor = Transaction.find({ utr: { $type: 'string' } }).select('utr').lean().cursor();
+
+    let batch = [];
+    let updated = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await Transaction.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    };
+
+    for await (const transaction of cursor) {
+      const utr = normalizeUtr(transaction.utr) || null;
+      if (utr === transaction.utr) continue;
+
+      batch.push({
+        updateOne: {
+          filter: { _id: transaction._id, utr: transaction.utr },
+          update: { utr }
+        }
+      });
+
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    console.log(`- ${updated} UTRs normalized`);
+
+    const duplicates = await Transaction.aggregate([
+      { $match: { utr: { $type: 'string' } } },
+      { $group: { _id: '$utr', transactions: { $push: { id: '$transactionId', type: '$type', status: '$status' } } } },
+      { $match: { 'transactions.1': { $exists: true } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    if (duplicates.length > 0) {
+      console.log(`⚠️  ${duplicates.length} UTRs are used by more than one transaction:`);
+      duplicates.forEach(({ _id: utr, transactions }) => {
+        const list = transactions.map(({ id, type, status }) => `${id} (${type}, ${status})`).join(', ');
+        console.log(`- ${utr}: ${list}`);
+      });
+      console.log('❌ Clear or correct the UTR on all but one of each, then run this again to build the index.');
+      process.exitCode = 1;
+      return;
+    }
+
+    await Transaction.createIndexes();
+    console.log('✅ UTRs normalized and the unique UTR index built.');
+  } catch (error) {
+    console.error('❌ Error normalizing UTRs:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+};
+
+// Run the migration
+normalizeUtrs();
@@ -0,0 +1,36 @@
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import User from '../models/User.js';
+import { openUserLedger } from '../services/ledgerService.js';
+
+// Load environment variables
+dotenv.config();
+
+const openLedger = async () => {
+  try {
+    // Connect to database
+    await connectDB();
+
+    console.log('📒 Opening wallet ledgers for existing balances...');
+
+    const users = await User.find().select('_id fullName balance');
+    let opened = 0;
+
+    for (const user of users) {
+      const entry = await openUserLedger(user._id);
+      if (entry) {
+        opened += 1;
+        console.log(`- ${user.fullName}: opening entry of ₹${entry.amount.toFixed(2)}`);
+      }
+    }
+
+    console.log(`✅ Checked ${users.length} users, opened ${opened} ledgers.`);
+  } catch (error) {
+    console.error('❌ Error opening ledgers:', error.message);
+  } finally {
+    process.exit();
+  }
+};
+
+// Run the migration
+openLedger();
@@ -2,6 +2,7 @@ import dotenv from 'dotenv';
 import connectDB from '../config/database.js';
 import User from '../models/User.js';
 import { generateReferralCode } from '../utils/helpers.js';
+import { ACCOUNTS, creditWallet } from '../services/ledgerService.js';
 
 // Load environment variables
 dotenv.config();
@@ -40,11 +41,19 @@ const seedAdmin = async () => {
       password: process.env.ADMIN_PASSWORD,
       referralCode: adminReferralCode,
       role : "admin",
-      balance: 1000 // Give admin some initial balance for testing
     });
 
     await adminUser.save();
 
+    // Give admin some initial balance for testing
+    await creditWallet({
+      userId: adminUser._id,
+      amount: 1000,
+      from: ACCOUNTS.OPENING,
+      reason: 'opening_balance',
+      description: 'Initial admin balance'
+    });
+
     console.log('✅ Admin user created successfully!');
     console.log('\n📋 Admin Details:');
     console.log('- Name:', adminUser.fullName);
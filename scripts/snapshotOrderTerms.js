@@ -0,0 +1,72 @@
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import Order from '../models/Order.js';
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+
+// Orders placed before terms were snapshotted get the product's current
+// terms, the closest record left of what they were bought with
+const snapshotOrderTerms = async () => {
+  try {
+    // Connect to database
+    await connectDB();
+
+    console.log('🧾 Snapshotting product terms onto older orders...');
+
+    const cursor = Order.find({ 'terms.perDayEarning': null })
+      .populate('productId', 'productName price perDayEarning productValidity')
+      .cursor();
+
+    let batch = [];
+    let updated = 0;
+    let missing = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await Order.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    };
+
+    for await (const order of cursor) {
+      const product = order.productId;
+      if (!product) {
+        missing += 1;
+        console.log(`- Order ${order._id}: product no longer exists, skipped`);
+        continue;
+      }
+
+      batch.push({
+        updateOne: {
+          // Never overwrite a snapshot written meanwhile
+          filter: { _id: order._id, 'terms.perDayEarning': null },
+          update: {
+            terms: {
+              productName: product.productName,
+              price: product.price,
+              perDayEarning: product.perDayEarning,
+              validity: product.productValidity
+            }
+          }
+        }
+      });
+
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    console.log(`✅ Snapshotted ${updated} orders, ${missing} skipped without a product.`);
+  } catch (error) {
+    console.error('❌ Error snapshotting order terms:', error.message);
+  } finally {
+    process.exit();
+  }
+};
+
+// Run the migration
+snapshotOrderTerms();
@@ -0,0 +1,45 @@
+import dotenv from 'dotenv';
+import * as razorpayx from './razorpayx.js';
+import * as mock from './mock.js';
+
+dotenv.config();
+
+// Every penny-drop provider adapter implements the same interface:
+//
+//   name                                        provider identifier stored on the user
+//   isConfigured()                              -> whether its credentials are set
+//   verifyAccount({ type, accountNumber, ifsc, vpa, name, reference })
+//                                               -> result, type is 'bank' or 'upi'
+//   getVerification(reference)                  -> result, for checks still pending
+//
+// A result is { status, reference, registeredName, reason } where status is
+// 'verified' (account or UPI ID active), 'failed' (invalid) or 'pending'.
+
+const adapters = {
+  razorpayx,
+  mock
+};
+
+// Only providers with their credentials set are registered, like the payment
+// gateways and payout providers
+const providers = Object.fromEntries(
+  Object.entries(adapters).filter(([, provider]) => provider.isConfigured())
+);
+
+if (process.env.BANK_VERIFICATION_PROVIDER && !providers[process.env.BANK_VERIFICATION_PROVIDER]) {
+  console.warn(`Bank verification provider ${process.env.BANK_VERIFICATION_PROVIDER} is not configured; payout methods go to admin review`);
+}
+
+// Get an adapter by name, defaulting to the configured BANK_VERIFICATION_PROVIDER
+export const getVerificationProvider = (name = process.env.BANK_VERIFICATION_PROVIDER) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(adapters[name]
+      ? `Bank verification provider ${name} is not configured`
+      : `Unknown bank verification provider: ${name}`);
+  }
+  return provider;
+};
+
+// Without BANK_VERIFICATION_PROVIDER every account goes to the admin review queue
+export const pennyDropEnabled = () => Boolean(providers[process.env.BANK_VERIFICATION_PROVIDER]);
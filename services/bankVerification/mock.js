@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import { mocksEnabled } from '../gateways/signing.js';
+
+// Offline penny-drop provider for development and tests. Results depend on
+// the last digits of the account number, or the start of the UPI ID:
+//   ...0000  invalid@...   invalid account
+//   ...1111  mismatch@...  active, registered to a different name (goes to admin review)
+//   ...2222  pending@...   check stays pending
+//   other                  active, registered to the submitted name
+
+const randomId = (prefix) => `${prefix}_mock${crypto.randomBytes(7).toString('hex')}`;
+
+export const name = 'mock';
+
+// The mock verifies any account under the submitted name, so it is only
+// available where mock providers are enabled, never in production
+export const isConfigured = () => mocksEnabled();
+
+const OUTCOMES = {
+  '0000': 'invalid',
+  '1111': 'mismatch',
+  '2222': 'pending'
+};
+
+export const verifyAccount = async ({ type, accountNumber, vpa, name: holderName }) => {
+  const reference = randomId('fav');
+  const outcome = type === 'upi' ? vpa.split('@')[0] : OUTCOMES[accountNumber.slice(-4)];
+
+  if (outcome === 'invalid') {
+    return {
+      status: 'failed',
+      reference,
+      registeredName: null,
+      reason: type === 'upi' ? 'Invalid UPI ID' : 'Invalid account number'
+    };
+  }
+  if (outcome === 'pending') {
+    return { status: 'pending', reference, registeredName: null, reason: null };
+  }
+
+  return {
+    status: 'verified',
+    reference,
+    registeredName: outcome === 'mismatch' ? 'MOCK ACCOUNT HOLDER' : holderName.toUpperCase(),
+    reason: null
+  };
+};
+
+export const getVerification = async (reference) => ({
+  status: 'pending',
+  reference,
+  registeredName: null,
+  reason: null
+});
@@ -0,0 +1,86 @@
+import dotenv from 'dotenv';
+import { gatewayError, isSecretSet } from '../gateways/signing.js';
+
+dotenv.config();
+
+// RazorpayX Fund Account Validation (penny drop):
+// https://razorpay.com/docs/api/x/account-validation/
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+const KEY_ID = process.env.RAZORPAYX_KEY_ID || process.env.RAZORPAY_KEY_ID || '';
+const KEY_SECRET = process.env.RAZORPAYX_KEY_SECRET || process.env.RAZORPAY_KEY_SECRET || '';
+const ACCOUNT_NUMBER = process.env.RAZORPAYX_ACCOUNT_NUMBER || '';
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Basic ${Buffer.from(`${KEY_ID}:${KEY_SECRET}`).toString('base64')}`
+    },
+    body: body && JSON.stringify(body)
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw gatewayError(data.error?.description || `RazorpayX request to ${path} failed`);
+  }
+  return data;
+};
+
+const toResult = (validation) => {
+  if (validation.status !== 'completed') {
+    return {
+      status: validation.status === 'failed' ? 'failed' : 'pending',
+      reference: validation.id,
+      registeredName: null,
+      reason: validation.status === 'failed' ? 'Account validation failed' : null
+    };
+  }
+
+  const active = validation.results?.account_status === 'active';
+  return {
+    status: active ? 'verified' : 'failed',
+    reference: validation.id,
+    registeredName: validation.results?.registered_name || null,
+    reason: active ? null : 'Account is not active'
+  };
+};
+
+export const name = 'razorpayx';
+
+export const isConfigured = () => Boolean(KEY_ID) && Boolean(ACCOUNT_NUMBER) && isSecretSet(KEY_SECRET);
+
+export const verifyAccount = async ({ type, accountNumber, ifsc, vpa, name: holderName, reference }) => {
+  const account = type === 'upi'
+    ? { account_type: 'vpa', vpa: { address: vpa } }
+    : {
+      account_type: 'bank_account',
+      bank_account: {
+        name: holderName,
+        ifsc,
+        account_number: accountNumber
+      }
+    };
+
+  const validation = await request('POST', '/fund_accounts/validations', {
+    account_number: ACCOUNT_NUMBER,
+    fund_account: {
+      ...account,
+      contact: {
+        name: holderName,
+        reference_id: reference
+      }
+    },
+    amount: 100,
+    currency: 'INR',
+    notes: { reference }
+  });
+
+  return toResult(validation);
+};
+
+export const getVerification = async (reference) => {
+  return toResult(await request('GET', `/fund_accounts/validations/${reference}`));
+};
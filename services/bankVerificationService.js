@@ -0,0 +1,192 @@
+import User from '../models/User.js';
+import { getVerificationProvider, pennyDropEnabled } from './bankVerification/index.js';
+
+const TITLES = ['MR', 'MRS', 'MS', 'MISS', 'DR', 'SHRI', 'SMT', 'KUMARI'];
+
+const nameTokens = (value) => String(value || '')
+  .toUpperCase()
+  .replace(/[^A-Z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(token => token && !TITLES.includes(token));
+
+// Banks often register initials or drop a middle name, so every word of the
+// shorter name has to appear in the longer one
+export const namesMatch = (submitted, registered) => {
+  const a = nameTokens(submitted);
+  const b = nameTokens(registered);
+  if (a.length === 0 || b.length === 0) {
+    return false;
+  }
+
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter.every(token => longer.includes(token)
+    || (token.length === 1 && longer.some(word => word.startsWith(token))));
+};
+
+// Update the verification fields of a payout method, but only while it still
+// holds the account that was checked
+const updateVerification = async (user, method, fields) => {
+  const update = Object.fromEntries(
+    Object.entries(fields).map(([field, value]) => [`payoutMethods.$.${field}`, value])
+  );
+
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      payoutMethods: {
+        $elemMatch: { _id: method._id, accountNumber: method.accountNumber, vpa: method.vpa }
+      }
+    },
+    update,
+    { new: true }
+  ).select('-password');
+
+  return updated && User.syncBankDetails(updated);
+};
+
+// Pending penny drops are checked with the provider at most this often
+const REFRESH_INTERVAL_MS = (Number(process.env.PENNY_DROP_REFRESH_SECONDS) || 60) * 1000;
+
+// Claim the next provider check of a pending penny drop. Returns null while
+// the method was checked within the refresh interval, also by a concurrent
+// request, so page loads do not each call the provider.
+const claimRefresh = async (user, method, now) => {
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      payoutMethods: {
+        $elemMatch: {
+          _id: method._id,
+          verificationStatus: 'pending',
+          verificationReference: method.verificationReference,
+          $or: [
+            { verificationCheckedAt: null },
+            { verificationCheckedAt: { $lte: new Date(now.getTime() - REFRESH_INTERVAL_MS) } }
+          ]
+        }
+      }
+    },
+    { 'payoutMethods.$.verificationCheckedAt': now },
+    { new: true }
+  ).select('-password');
+
+  return claimed && User.syncBankDetails(claimed);
+};
+
+const describe = (method) => (method.type === 'upi' ? 'UPI ID' : 'Bank account');
+
+// Turn a penny-drop result into a verification status
+const applyResult = (user, method, provider, result) => {
+  const base = {
+    verificationMethod: 'penny_drop',
+    verificationProvider: provider.name,
+    verificationReference: result.reference,
+    registeredName: result.registeredName
+  };
+
+  if (result.status === 'failed') {
+    return updateVerification(user, method, {
+      ...base,
+      verificationStatus: 'rejected',
+      verificationNote: result.reason || `${describe(method)} could not be verified`
+    });
+  }
+
+  if (result.status === 'pending') {
+    return updateVerification(user, method, { ...base, verificationStatus: 'pending', verificationNote: null });
+  }
+
+  // The account exists but belongs to someone else by name: leave it to an admin
+  if (!namesMatch(method.accountHolderName, result.registeredName)) {
+    return updateVerification(user, method, {
+      ...base,
+      verificationStatus: 'pending',
+      verificationMethod: 'manual',
+      verificationNote: `Name mismatch: bank has "${result.registeredName}"`
+    });
+  }
+
+  return updateVerification(user, method, {
+    ...base,
+    verificationStatus: 'verified',
+    verificationNote: null,
+    verifiedAt: new Date(),
+    verifiedBy: null
+  });
+};
+
+// Start verifying a freshly submitted payout method: a penny drop when a
+// provider is configured, otherwise the admin review queue
+export const startVerification = async (user, method) => {
+  if (!pennyDropEnabled()) {
+    return updateVerification(user, method, {
+      verificationStatus: 'pending',
+      verificationMethod: 'manual',
+      verificationNote: null
+    });
+  }
+
+  const provider = getVerificationProvider();
+
+  try {
+    const result = await provider.verifyAccount({
+      type: method.type,
+      accountNumber: method.accountNumber,
+      ifsc: method.ifscCode,
+      vpa: method.vpa,
+      name: method.accountHolderName,
+      reference: String(user._id)
+    });
+    return applyResult(user, method, provider, result);
+  } catch (error) {
+    console.error(`Penny drop for user ${user._id} failed:`, error.message);
+    return updateVerification(user, method, {
+      verificationStatus: 'pending',
+      verificationMethod: 'manual',
+      verificationProvider: provider.name,
+      verificationNote: `Penny drop failed: ${error.message}`
+    });
+  }
+};
+
+// Ask the provider again about a penny drop that was still pending. The
+// method stays pending when the provider cannot be reached; it is asked again
+// after the refresh interval.
+export const refreshVerification = async (user, method, now = new Date()) => {
+  const { verificationStatus, verificationMethod, verificationProvider, verificationReference } = method;
+  if (verificationStatus !== 'pending' || verificationMethod !== 'penny_drop' || !verificationReference) {
+    return user;
+  }
+
+  const claimed = await claimRefresh(user, method, now);
+  if (!claimed) {
+    return user;
+  }
+
+  try {
+    const provider = getVerificationProvider(verificationProvider);
+    const result = await provider.getVerification(verificationReference);
+    return (await applyResult(claimed, method, provider, result)) || claimed;
+  } catch (error) {
+    console.error(`Penny drop check for user ${user._id} failed:`, error.message);
+    return claimed;
+  }
+};
+
+// Admin decision on a payout method in the review queue
+export const reviewPayoutMethod = async ({ user, method, approve, note = null, reviewer }) => {
+  return updateVerification(user, method, approve
+    ? {
+      verificationStatus: 'verified',
+      verificationMethod: 'manual',
+      verificationNote: note,
+      verifiedAt: new Date(),
+      verifiedBy: reviewer._id
+    }
+    : {
+      verificationStatus: 'rejected',
+      verificationNote: note || 'Rejected by admin',
+      verifiedAt: null,
+      verifiedBy: reviewer._id
+    });
+};
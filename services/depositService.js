@@ -0,0 +1,392 @@
+import dotenv from 'dotenv';
+import Transaction from '../models/Transaction.js';
+import PaymentSession from '../models/PaymentSession.js';
+import { generateTransactionId } from '../utils/helpers.js';
+import { ACCOUNTS, creditWallet, debitWallet, postEntry } from './ledgerService.js';
+import { getGateway } from './gateways/index.js';
+
+dotenv.config();
+
+const PAYMENT_TIMEOUT = parseInt(process.env.PAYMENT_TIMEOUT) || 5 * 60 * 1000;
+
+// Statuses of a deposit whose amount was credited to the wallet
+const CREDITED_STATUSES = ['success', 'approved'];
+
+// Create a pending deposit, its gateway payment and the session tying them together
+export const openDepositSession = async ({ user, amount, paymentMethod }) => {
+  const gateway = getGateway();
+  const transactionId = generateTransactionId('deposit');
+
+  // The gateway order is what every payment for this deposit will reference
+  const { orderId, checkout } = await gateway.createPayment({
+    amount,
+    reference: transactionId,
+    notes: {
+      transactionId,
+      userId: String(user._id)
+    },
+    customer: {
+      id: String(user._id),
+      name: user.fullName,
+      phone: user.phoneNumber
+    }
+  });
+
+  const transaction = new Transaction({
+    userId: user._id,
+    transactionId,
+    type: 'deposit',
+    amount,
+    status: 'pending',
+    paymentMethod,
+    gateway: gateway.name,
+    gatewayOrderId: orderId
+  });
+
+  await transaction.save();
+
+  const paymentSession = await PaymentSession.create({
+    transaction: transaction._id,
+    transactionId,
+    userId: user._id,
+    gateway: gateway.name,
+    amount: transaction.amount,
+    gatewayOrderId: orderId,
+    expiresAt: new Date(Date.now() + PAYMENT_TIMEOUT)
+  });
+
+  return { transaction, paymentSession, checkout, timeout: PAYMENT_TIMEOUT };
+};
+
+// Find the session for a gateway order; payments are only ever matched by order id
+export const findSessionByOrderId = async (orderId, gateway = null) => {
+  if (!orderId) {
+    return null;
+  }
+
+  const filter = { gatewayOrderId: orderId };
+  if (gateway) {
+    filter.gateway = gateway;
+  }
+  return PaymentSession.findOne(filter);
+};
+
+// Settle a session with a captured payment and credit the wallet exactly once
+export const confirmDeposit = async ({ paymentSession, paymentId, description = null }) => {
+  const session = await Transaction.startSession();
+  session.startTransaction();
+
+  try {
+    // Claiming the session first makes retried deliveries a no-op
+    const claimed = await PaymentSession.findOneAndUpdate(
+      { _id: paymentSession._id, status: { $ne: 'paid' } },
+      { status: 'paid', gatewayPaymentId: paymentId, paidAt: new Date() },
+      { new: true, session }
+    );
+
+    if (!claimed) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    // A deposit the gateway reported as failed can still be paid on a retry,
+    // and money that arrives after the session expired is still credited.
+    // A deposit an admin rejected stays rejected; its payment is left for
+    // the admin to refund.
+    const transaction = await Transaction.findOneAndUpdate(
+      {
+        _id: claimed.transaction,
+        $or: [
+          { status: { $in: ['pending', 'expired'] } },
+          { status: 'rejected', gatewayReason: { $ne: null } }
+        ]
+      },
+      { status: 'success', gatewayPaymentId: paymentId },
+      { new: true, session }
+    );
+
+    if (transaction) {
+      await creditWallet({
+        userId: transaction.userId,
+        amount: transaction.amount,
+        from: ACCOUNTS.DEPOSITS,
+        reason: 'deposit',
+        reference: { kind: 'Transaction', id: transaction.transactionId },
+        description: description || `Gateway payment ${paymentId}`,
+        session
+      });
+    }
+
+    await session.commitTransaction();
+    return transaction;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Approve a pending manual (UTR) deposit and credit the wallet exactly once
+export const approveDeposit = async ({ transaction, notes = null }) => {
+  const session = await Transaction.startSession();
+  session.startTransaction();
+
+  try {
+    const approved = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, type: 'deposit', status: 'pending' },
+      { status: 'success', adminNotes: notes },
+      { new: true, session }
+    );
+
+    if (approved) {
+      await creditWallet({
+        userId: approved.userId,
+        amount: approved.amount,
+        from: ACCOUNTS.DEPOSITS,
+        reason: 'deposit',
+        reference: { kind: 'Transaction', id: approved.transactionId },
+        description: notes || 'Deposit approved',
+        session
+      });
+    }
+
+    await session.commitTransaction();
+    return approved;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Reject a pending deposit; a payment arriving for it later is not credited
+export const rejectDeposit = async ({ transaction, notes = null }) => {
+  return Transaction.findOneAndUpdate(
+    { _id: transaction._id, type: 'deposit', status: 'pending' },
+    { status: 'rejected', adminNotes: notes },
+    { new: true }
+  );
+};
+
+// Find the deposit a gateway event refers to, by payment id and then order id
+export const findDepositForEvent = async (event, gateway) => {
+  if (event.paymentId) {
+    const byPayment = await Transaction.findOne({ type: 'deposit', gateway, gatewayPaymentId: event.paymentId });
+    if (byPayment) return byPayment;
+  }
+
+  if (event.orderId) {
+    return Transaction.findOne({ type: 'deposit', gateway, gatewayOrderId: event.orderId });
+  }
+
+  return null;
+};
+
+// Mark a pending deposit as rejected with the reason the gateway gave
+export const failDeposit = async ({ paymentSession, paymentId, reason }) => {
+  await PaymentSession.updateOne(
+    { _id: paymentSession._id, status: 'open' },
+    { status: 'failed' }
+  );
+
+  // Only a still pending deposit is touched; a later successful retry wins
+  return Transaction.findOneAndUpdate(
+    { _id: paymentSession.transaction, status: 'pending' },
+    {
+      status: 'rejected',
+      gatewayPaymentId: paymentId,
+      gatewayReason: reason || 'Payment failed at gateway'
+    },
+    { new: true }
+  );
+};
+
+// Reverse (part of) a credited deposit after the gateway refunded it
+export const refundDeposit = async ({ transaction, refundId, amount }) => {
+  const session = await Transaction.startSession();
+  session.startTransaction();
+
+  try {
+    // Recording the refund id first makes a repeated refund event a no-op
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: { $in: CREDITED_STATUSES }, 'refunds.refundId': { $ne: refundId } },
+      { $push: { refunds: { refundId, amount: 0 } } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    // Worked out on the claimed document, which includes earlier refunds
+    const refundAmount = Math.min(amount ?? updated.amount, updated.amount - updated.refundedAmount);
+    if (refundAmount <= 0) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    updated.refunds.find(refund => refund.refundId === refundId).amount = refundAmount;
+    updated.refundedAmount += refundAmount;
+    if (updated.refundedAmount >= updated.amount) {
+      updated.status = 'refunded';
+    }
+    await updated.save({ session });
+
+    // The money already left through the gateway, so the wallet may go negative
+    await debitWallet({
+      userId: updated.userId,
+      amount: refundAmount,
+      to: ACCOUNTS.REFUNDS,
+      reason: 'refund',
+      reference: { kind: 'Transaction', id: updated.transactionId },
+      description: `Gateway refund ${refundId}`,
+      allowNegative: true,
+      session
+    });
+
+    await session.commitTransaction();
+    return updated;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Freeze the disputed amount of a deposit while the dispute is open
+export const openDispute = async ({ transaction, disputeId, amount, reason }) => {
+  const session = await Transaction.startSession();
+  session.startTransaction();
+
+  try {
+    const disputed = Math.min(amount ?? transaction.amount, transaction.amount);
+
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: { $in: CREDITED_STATUSES }, 'dispute.status': null },
+      {
+        dispute: {
+          disputeId,
+          status: 'open',
+          amount: disputed,
+          reason,
+          openedAt: new Date()
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    await postEntry({
+      userId: updated.userId,
+      reason: 'dispute_hold',
+      lines: [
+        { account: ACCOUNTS.WALLET, debit: disputed },
+        { account: ACCOUNTS.FROZEN, credit: disputed }
+      ],
+      reference: { kind: 'Transaction', id: updated.transactionId },
+      description: `Funds frozen for dispute ${disputeId}`,
+      allowNegative: true,
+      session
+    });
+
+    await session.commitTransaction();
+    return updated;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Close an open dispute: release the frozen funds if we won, write them off if we lost
+export const closeDispute = async ({ transaction, won }) => {
+  const session = await Transaction.startSession();
+  session.startTransaction();
+
+  try {
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, 'dispute.status': 'open' },
+      {
+        'dispute.status': won ? 'won' : 'lost',
+        'dispute.closedAt': new Date()
+      },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const { amount, disputeId } = updated.dispute;
+    await postEntry({
+      userId: updated.userId,
+      reason: won ? 'dispute_release' : 'chargeback',
+      lines: [
+        { account: ACCOUNTS.FROZEN, debit: amount },
+        { account: won ? ACCOUNTS.WALLET : ACCOUNTS.CHARGEBACKS, credit: amount }
+      ],
+      reference: { kind: 'Transaction', id: updated.transactionId },
+      description: won ? `Dispute ${disputeId} won, funds released` : `Dispute ${disputeId} lost`,
+      allowNegative: true,
+      session
+    });
+
+    await session.commitTransaction();
+    return updated;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Expire deposits nobody paid within PAYMENT_TIMEOUT. Deposits with a
+// submitted UTR are left pending for admin review.
+export const expireStaleDeposits = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - PAYMENT_TIMEOUT);
+
+  const staleSessions = await PaymentSession.find({ status: 'open', expiresAt: { $lte: now } })
+    .select('_id transaction');
+
+  let expired = 0;
+  for (const paymentSession of staleSessions) {
+    // Conditional updates so a payment confirmed meanwhile is never overwritten
+    const closed = await PaymentSession.updateOne(
+      { _id: paymentSession._id, status: 'open' },
+      { status: 'expired' }
+    );
+    if (closed.modifiedCount === 0) continue;
+
+    const result = await Transaction.updateOne(
+      { _id: paymentSession.transaction, status: 'pending', utr: null },
+      { status: 'expired' }
+    );
+    expired += result.modifiedCount;
+  }
+
+  // Deposits created before payment sessions existed
+  const legacy = await Transaction.updateMany(
+    {
+      type: 'deposit',
+      status: 'pending',
+      utr: null,
+      gatewayOrderId: null,
+      createdAt: { $lte: cutoff }
+    },
+    { status: 'expired' }
+  );
+
+  return expired + legacy.modifiedCount;
+};
@@ -1,10 +1,406 @@
 import Order from '../models/Order.js';
+import Product from '../models/Product.js';
 import User from '../models/User.js';
+import Transaction from '../models/Transaction.js';
+import AccrualRun from '../models/AccrualRun.js';
+import OrderAccrual from '../models/OrderAccrual.js';
+import { generateTransactionId, getZonedTime, addDays } from '../utils/helpers.js';
+import { ACCOUNTS, creditWallets } from './ledgerService.js';
 
 export const processpayment = async () => {
     
 }
 
+// Terms an order earns on: the snapshot taken at purchase, or for orders
+// placed before snapshots existed the populated product as it is now
+export const orderTerms = (order) => {
+  if (order.terms?.perDayEarning != null) {
+    return order.terms;
+  }
+
+  const product = order.productId || {};
+  return {
+    productName: product.productName ?? null,
+    price: product.price ?? null,
+    perDayEarning: product.perDayEarning ?? null,
+    validity: product.productValidity ?? null
+  };
+};
+
+// An order as shown to its owner: the price and earnings come from its terms,
+// so the populated product only contributes what describes it
+export const presentOrder = (order) => {
+  const data = typeof order.toJSON === 'function' ? order.toJSON() : { ...order };
+  const terms = orderTerms(order);
+
+  if (data.productId && typeof data.productId === 'object') {
+    const { price, perDayEarning, productValidity, ...product } = data.productId;
+    data.productId = product;
+  }
+
+  return { ...data, terms };
+};
+
+// Earnings accrue per calendar day in this timezone; the nightly run just
+// after midnight pays the day that ended
+export const ACCRUAL_TIMEZONE = 'Asia/Kolkata';
+
+// Job lock every run takes, so only one instance pays earnings at a time
+export const ACCRUAL_LOCK = 'earnings-accrual';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Orders per batch; each batch is paid with bulk writes in its own database transaction
+const BATCH_SIZE = parseInt(process.env.ACCRUAL_BATCH_SIZE) || 500;
+
+// Pay a batch of orders for a day. Orders already paid for the day are left
+// out and the unique index on order and day rejects the batch if another run
+// paid one meanwhile; a failed batch pays nothing and is retried with the day.
+const accrueBatch = async (orders, day, run) => {
+  // Orders placed before terms were snapshotted earn the product's current rate
+  const legacyProductIds = orders
+    .filter(order => order.terms?.perDayEarning == null)
+    .map(order => order.productId);
+  const products = legacyProductIds.length > 0
+    ? await Product.find({ _id: { $in: legacyProductIds } }).select('productName price perDayEarning productValidity').lean()
+    : [];
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+
+  const session = await Order.startSession();
+  session.startTransaction();
+
+  try {
+    const paid = await OrderAccrual.find({ day, orderId: { $in: orders.map(order => order._id) } })
+      .select('orderId')
+      .session(session);
+    const paidIds = new Set(paid.map(accrual => String(accrual.orderId)));
+
+    const payable = orders
+      .filter(order => !paidIds.has(String(order._id)))
+      .map(order => ({
+        order,
+        terms: orderTerms({ ...order, productId: productsById.get(String(order.productId)) })
+      }))
+      .filter(({ terms }) => terms.perDayEarning != null);
+
+    if (payable.length === 0) {
+      await session.abortTransaction();
+      return { paid: 0, amount: 0 };
+    }
+
+    const transactionIds = new Set();
+    while (transactionIds.size < payable.length) {
+      transactionIds.add(generateTransactionId('earning'));
+    }
+
+    const earnings = [...transactionIds].map((transactionId, index) => {
+      const { order, terms } = payable[index];
+      return {
+        userId: order.userId,
+        transactionId,
+        type: 'earning',
+        amount: terms.perDayEarning,
+        status: 'success',
+        paymentMethod: 'wallet',
+        orderId: order._id,
+        description: `Daily earning from ${terms.productName} for ${day}`
+      };
+    });
+
+    await OrderAccrual.insertMany(earnings.map(earning => ({
+      orderId: earning.orderId,
+      userId: earning.userId,
+      day,
+      amount: earning.amount,
+      transactionId: earning.transactionId,
+      run: run._id
+    })), { session });
+
+    // Record the payouts in the users' wallet histories and credit the wallets
+    await Transaction.insertMany(earnings, { session });
+    await creditWallets({
+      credits: earnings.map(earning => ({
+        userId: earning.userId,
+        amount: earning.amount,
+        reference: { kind: 'Transaction', id: earning.transactionId },
+        description: earning.description
+      })),
+      from: ACCOUNTS.EARNINGS,
+      reason: 'earning',
+      session
+    });
+
+    // One day less of validity; orders on their last day are completed. The
+    // validity in the filter guards against a concurrent change to the order.
+    const result = await Order.bulkWrite(payable.map(({ order }) => ({
+      updateOne: {
+        filter: { _id: order._id, status: 'active', validity: order.validity },
+        update: order.validity - 1 <= 0
+          ? { $set: { validity: order.validity - 1, status: 'completed', endDate: new Date() } }
+          : { $set: { validity: order.validity - 1 } }
+      }
+    })), { session });
+
+    if (result.matchedCount !== payable.length) {
+      throw new Error('Some orders changed during the run');
+    }
+
+    await session.commitTransaction();
+    return { paid: payable.length, amount: roundAmount(earnings.reduce((sum, earning) => sum + earning.amount, 0)) };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// When an accrual day ends: midnight after it in the accrual timezone. Noon
+// UTC of the next day falls on that day in every timezone.
+export const accrualDayEnd = (day) =>
+  getZonedTime(new Date(`${addDays(day, 1)}T12:00:00Z`), ACCRUAL_TIMEZONE).startOfDay;
+
+// The latest day that has ended in the accrual timezone
+export const lastEndedDay = (now = new Date()) => addDays(getZonedTime(now, ACCRUAL_TIMEZONE).date, -1);
+
+// Pay a day's earnings to every order active by the end of that day. Orders
+// are streamed in batches and progress is saved on the run after each one.
+// Safe to run again: orders paid for the day already are skipped.
+//
+// Stops between batches once `signal` is aborted, which holdLock does when
+// the job lock is lost, and throws its reason.
+export const runAccrual = async (day, { trigger = 'schedule', triggeredBy = null, signal } = {}) => {
+  // Orders bought after the day ended do not earn for it
+  const endOfDay = accrualDayEnd(day);
+  const filter = { status: 'active', startDate: { $lt: endOfDay } };
+
+  const run = await AccrualRun.findOneAndUpdate(
+    { day },
+    {
+      $set: {
+        status: 'running',
+        trigger,
+        triggeredBy,
+        startedAt: new Date(),
+        completedAt: null,
+        error: null,
+        totalOrders: await Order.countDocuments(filter),
+        processedOrders: 0,
+        ordersFailed: 0,
+        batchesCompleted: 0,
+        batchesFailed: 0,
+        failures: []
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const cursor = Order.find(filter)
+    .select('userId productId validity terms')
+    .sort({ _id: 1 })
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let batch = [];
+  let batchNumber = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    batchNumber += 1;
+    const orders = batch;
+    batch = [];
+
+    try {
+      const { paid, amount } = await accrueBatch(orders, day, run);
+      await AccrualRun.updateOne({ _id: run._id }, {
+        $inc: { processedOrders: orders.length, batchesCompleted: 1 }
+      });
+      console.log(`Earnings for ${day}, batch ${batchNumber}: ${paid} of ${orders.length} orders paid ₹${amount}`);
+    } catch (error) {
+      await AccrualRun.updateOne({ _id: run._id }, {
+        $inc: { processedOrders: orders.length, ordersFailed: orders.length, batchesFailed: 1 },
+        $push: {
+          failures: {
+            batch: batchNumber,
+            orders: orders.length,
+            firstOrderId: orders[0]._id,
+            lastOrderId: orders[orders.length - 1]._id,
+            error: error.message,
+            failedAt: new Date()
+          }
+        }
+      });
+      console.error(`Earnings for ${day}, batch ${batchNumber} failed:`, error.message);
+    }
+  };
+
+  for await (const order of cursor) {
+    if (signal?.aborted) break;
+    batch.push(order);
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  if (signal?.aborted) {
+    // Matched on attempts so a run started since by another instance is left alone
+    await AccrualRun.updateOne({ _id: run._id, attempts: run.attempts, status: 'running' }, {
+      status: 'failed',
+      error: signal.reason.message
+    });
+    throw signal.reason;
+  }
+  await flush();
+
+  const [totals] = await OrderAccrual.aggregate([
+    { $match: { day } },
+    { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+  ]);
+
+  const finished = await AccrualRun.findById(run._id);
+  finished.ordersPaid = totals?.count || 0;
+  finished.amountPaid = roundAmount(totals?.amount || 0);
+  finished.status = finished.batchesFailed > 0 ? 'failed' : 'completed';
+  finished.error = finished.failures[0]?.error || null;
+  finished.completedAt = finished.batchesFailed > 0 ? null : new Date();
+  await finished.save();
+
+  return finished;
+};
+
+const accrualError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Check a day can be run by hand: it must have ended, and days before the
+// first recorded run were paid by the previous job without accrual records
+export const checkAccrualDay = async (day, now = new Date()) => {
+  const parsed = new Date(`${day}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(parsed.getTime())
+    || parsed.toISOString().slice(0, 10) !== day) {
+    throw accrualError('Date must be a calendar day (YYYY-MM-DD)');
+  }
+
+  const latest = lastEndedDay(now);
+  if (day > latest) {
+    throw accrualError(`Only days that have ended can be paid, the latest is ${latest}`);
+  }
+
+  const first = await AccrualRun.findOne().sort({ day: 1 }).select('day');
+  const earliest = first?.day || latest;
+  if (day < earliest) {
+    throw accrualError(`Days before ${earliest} were paid before accrual runs were recorded`);
+  }
+};
+
+// What a run for the day would credit, per user, without paying anything.
+// Orders already paid for the day are left out.
+export const previewAccrual = async (day, { skip = 0, limit = 50 } = {}) => {
+  const endOfDay = accrualDayEnd(day);
+
+  const [result] = await Order.aggregate([
+    { $match: { status: 'active', startDate: { $lt: endOfDay } } },
+    {
+      $lookup: {
+        from: 'orderaccruals',
+        let: { orderId: '$_id' },
+        pipeline: [
+          { $match: { day, $expr: { $eq: ['$orderId', '$$orderId'] } } },
+          { $limit: 1 }
+        ],
+        as: 'accrual'
+      }
+    },
+    { $match: { accrual: { $size: 0 } } },
+    {
+      $lookup: {
+        from: 'products',
+        localField: 'productId',
+        foreignField: '_id',
+        as: 'product'
+      }
+    },
+    { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+    // Snapshotted terms first, the current product rate for older orders
+    { $project: { userId: 1, amount: { $ifNull: ['$terms.perDayEarning', '$product.perDayEarning'] } } },
+    { $match: { amount: { $ne: null } } },
+    { $group: { _id: '$userId', orders: { $sum: 1 }, amount: { $sum: '$amount' } } },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: null, users: { $sum: 1 }, orders: { $sum: '$orders' }, amount: { $sum: '$amount' } } }
+        ],
+        credits: [
+          { $sort: { amount: -1, _id: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'users',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'user'
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              userId: '$_id',
+              fullName: { $arrayElemAt: ['$user.fullName', 0] },
+              phoneNumber: { $arrayElemAt: ['$user.phoneNumber', 0] },
+              orders: 1,
+              amount: 1
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { users: 0, orders: 0, amount: 0 };
+
+  return {
+    day,
+    users: totals.users,
+    orders: totals.orders,
+    amount: roundAmount(totals.amount),
+    alreadyPaid: await OrderAccrual.countDocuments({ day }),
+    credits: result.credits.map(credit => ({ ...credit, amount: roundAmount(credit.amount) }))
+  };
+};
+
+// Run every day that has not been paid yet, oldest first: the days since the
+// last completed run up to yesterday, and any earlier run that did not
+// complete. Without any run history only the nightly schedule pays (the day
+// that just ended), so days paid before runs were recorded are not paid again.
+export const catchUpAccruals = async ({ now = new Date(), trigger = 'schedule', signal } = {}) => {
+  const yesterday = lastEndedDay(now);
+
+  const days = new Set(await AccrualRun.distinct('day', {
+    status: { $ne: 'completed' },
+    day: { $lte: yesterday }
+  }));
+
+  const last = await AccrualRun.findOne({ status: 'completed' }).sort({ day: -1 });
+  if (last) {
+    for (let day = addDays(last.day, 1); day <= yesterday; day = addDays(day, 1)) {
+      days.add(day);
+    }
+  } else if (trigger === 'schedule') {
+    days.add(yesterday);
+  }
+
+  const runs = [];
+  for (const day of [...days].sort()) {
+    signal?.throwIfAborted();
+    runs.push(await runAccrual(day, { trigger, signal }));
+  }
+  return runs;
+};
+
 
 export const getUserEarningsSummary = async (userId) => {
   try {
@@ -21,7 +417,7 @@ export const getUserEarningsSummary = async (userId) => {
 
     // Calculate today's potential earnings
     const todaysPotentialEarnings = activeOrders.reduce((sum, order) => {
-      return sum + order.productId.perDayEarning
+      return sum + (orderTerms(order).perDayEarning || 0)
     }, 0);
 
     return {
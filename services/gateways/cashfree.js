@@ -0,0 +1,118 @@
+import dotenv from 'dotenv';
+import { hmac, signaturesMatch, gatewayError, isSecretSet } from './signing.js';
+
+dotenv.config();
+
+// Cashfree Payment Gateway (API version 2023-08-01): https://docs.cashfree.com/reference/pg-new-apis-endpoint
+
+const API_URL = process.env.CASHFREE_ENV === 'production'
+  ? 'https://api.cashfree.com/pg'
+  : 'https://sandbox.cashfree.com/pg';
+const API_VERSION = '2023-08-01';
+
+const CLIENT_ID = process.env.CASHFREE_CLIENT_ID || '';
+const CLIENT_SECRET = process.env.CASHFREE_CLIENT_SECRET || '';
+
+// Cashfree webhook types mapped to our normalized ones. Refund status
+// webhooks are sent for every status; only SUCCESS is a processed refund.
+const EVENT_TYPES = {
+  PAYMENT_SUCCESS_WEBHOOK: 'payment.captured',
+  PAYMENT_FAILED_WEBHOOK: 'payment.failed',
+  REFUND_STATUS_WEBHOOK: 'refund.updated',
+  DISPUTE_CREATED: 'dispute.created',
+  DISPUTE_CLOSED: 'dispute.closed'
+};
+
+const request = async (path, body) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-version': API_VERSION,
+      'x-client-id': CLIENT_ID,
+      'x-client-secret': CLIENT_SECRET
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw gatewayError(data.message || `Cashfree request to ${path} failed`);
+  }
+  return data;
+};
+
+export const name = 'cashfree';
+
+export const isConfigured = () => Boolean(CLIENT_ID) && isSecretSet(CLIENT_SECRET);
+
+export const createPayment = async ({ amount, reference, customer = {} }) => {
+  const order = await request('/orders', {
+    order_id: reference,
+    order_amount: Number(amount),
+    order_currency: 'INR',
+    customer_details: {
+      customer_id: customer.id,
+      customer_name: customer.name,
+      customer_phone: customer.phone
+    }
+  });
+
+  return {
+    orderId: order.order_id,
+    checkout: {
+      order_id: order.order_id,
+      payment_session_id: order.payment_session_id
+    }
+  };
+};
+
+// Cashfree does not sign the checkout redirect; the order is confirmed by webhook
+export const verifyCheckout = () => ({ valid: false });
+
+export const verifyWebhook = ({ rawBody, headers }) => {
+  const signature = headers['x-webhook-signature'];
+  const timestamp = headers['x-webhook-timestamp'];
+  if (!isConfigured() || !rawBody || !timestamp) {
+    return false;
+  }
+
+  return signaturesMatch(hmac(CLIENT_SECRET, `${timestamp}${rawBody.toString()}`, 'base64'), signature);
+};
+
+export const parseEvent = ({ body }) => {
+  const data = body.data || {};
+  const payment = data.payment || {};
+  const refund = data.refund;
+  const dispute = data.dispute;
+
+  let type = EVENT_TYPES[body.type] || 'unknown';
+  if (type === 'dispute.closed') {
+    type = dispute?.dispute_status === 'DISPUTE_MERCHANT_WON' ? 'dispute.won' : 'dispute.lost';
+  }
+  // Pending, cancelled or on hold refunds have no handler and are ignored
+  if (type === 'refund.updated' && refund?.refund_status === 'SUCCESS') {
+    type = 'refund.processed';
+  }
+
+  return {
+    id: null,
+    type,
+    rawType: body.type,
+    orderId: data.order?.order_id || refund?.order_id || dispute?.order_details?.order_id || null,
+    paymentId: payment.cf_payment_id ? String(payment.cf_payment_id) : (refund?.cf_payment_id ? String(refund.cf_payment_id) : null),
+    refundId: refund?.refund_id || null,
+    disputeId: dispute?.dispute_id ? String(dispute.dispute_id) : null,
+    amount: refund?.refund_amount ?? dispute?.dispute_amount ?? payment.payment_amount ?? null,
+    reason: payment.payment_message || dispute?.reason_description || null
+  };
+};
+
+export const refund = async ({ orderId, amount, reference }) => {
+  const data = await request(`/orders/${orderId}/refunds`, {
+    refund_amount: Number(amount),
+    refund_id: reference
+  });
+
+  return { refundId: data.refund_id, status: data.refund_status };
+};
@@ -0,0 +1,67 @@
+import dotenv from 'dotenv';
+import * as razorpay from './razorpay.js';
+import * as cashfree from './cashfree.js';
+import * as phonepe from './phonepe.js';
+import * as mock from './mock.js';
+
+dotenv.config();
+
+// Every payment gateway adapter implements the same interface:
+//
+//   name                                        gateway identifier stored on deposits
+//   isConfigured()                              -> whether its credentials are set
+//   createPayment({ amount, reference, notes, customer })
+//                                               -> { orderId, checkout }
+//   verifyCheckout(payload)                     -> { valid, orderId, paymentId }
+//   verifyWebhook({ rawBody, body, headers })   -> boolean
+//   parseEvent({ body, headers })               -> normalized event (see EVENT_TYPES)
+//   refund({ orderId, paymentId, amount, reference })
+//                                               -> { refundId, status }
+//
+// Amounts going in and coming out are in rupees.
+
+export const EVENT_TYPES = [
+  'payment.captured',
+  'payment.failed',
+  'refund.processed',
+  'dispute.created',
+  'dispute.won',
+  'dispute.lost',
+  'unknown'
+];
+
+const adapters = {
+  razorpay,
+  cashfree,
+  phonepe,
+  mock
+};
+
+// Only gateways with their credentials set are registered, so an unconfigured
+// gateway's webhook route does not exist and its signatures are never checked
+// against an empty or example secret
+const gateways = Object.fromEntries(
+  Object.entries(adapters).filter(([, gateway]) => gateway.isConfigured())
+);
+
+// Kept for setups that still use PAYMENT_GATEWAY=local
+if (gateways.mock) {
+  gateways.local = mock;
+}
+
+if (!gateways[process.env.PAYMENT_GATEWAY || 'razorpay']) {
+  console.warn(`Payment gateway ${process.env.PAYMENT_GATEWAY || 'razorpay'} is not configured; deposits cannot be created`);
+}
+
+// Get an adapter by name, defaulting to the configured PAYMENT_GATEWAY
+export const getGateway = (name = process.env.PAYMENT_GATEWAY || 'razorpay') => {
+  const gateway = gateways[name];
+  if (!gateway) {
+    throw new Error(adapters[name] || name === 'local'
+      ? `Payment gateway ${name} is not configured`
+      : `Unknown payment gateway: ${name}`);
+  }
+  return gateway;
+};
+
+export const hasGateway = (name) => Boolean(gateways[name]);
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { hmac, signaturesMatch, isSecretSet, mocksEnabled } from './signing.js';
+
+dotenv.config();
+
+// Fully offline gateway for development and tests. Nothing leaves the
+// process: orders and payments are random ids, and events are signed with
+// MOCK_GATEWAY_SECRET so they go through the same verification path as a
+// real provider. Use simulateEvent() to produce what the gateway would send.
+// Only available with MOCK_PROVIDERS_ENABLED=true outside production.
+
+const SECRET = process.env.MOCK_GATEWAY_SECRET || '';
+
+const randomId = (prefix) => `${prefix}_mock${crypto.randomBytes(7).toString('hex')}`;
+
+export const name = 'mock';
+
+export const isConfigured = () => mocksEnabled() && isSecretSet(SECRET);
+
+export const createPayment = async ({ amount, reference }) => {
+  const orderId = randomId('order');
+
+  return {
+    orderId,
+    checkout: {
+      order_id: orderId,
+      amount: Number(amount),
+      reference
+    }
+  };
+};
+
+export const verifyCheckout = (payload = {}) => {
+  const { order_id: orderId, payment_id: paymentId, signature } = payload;
+  if (!isConfigured() || !orderId || !paymentId) {
+    return { valid: false };
+  }
+
+  return {
+    valid: signaturesMatch(hmac(SECRET, `${orderId}|${paymentId}`), signature),
+    orderId,
+    paymentId
+  };
+};
+
+export const verifyWebhook = ({ rawBody, headers }) => {
+  return isConfigured() && Boolean(rawBody) && signaturesMatch(hmac(SECRET, rawBody.toString()), headers['x-mock-signature']);
+};
+
+// Mock events are already in our normalized shape
+export const parseEvent = ({ body }) => ({
+  id: body.id || null,
+  type: body.event || 'unknown',
+  rawType: body.event,
+  orderId: body.order_id || null,
+  paymentId: body.payment_id || null,
+  refundId: body.refund_id || null,
+  disputeId: body.dispute_id || null,
+  amount: body.amount ?? null,
+  reason: body.reason || null
+});
+
+export const refund = async () => ({
+  refundId: randomId('rfnd'),
+  status: 'processed'
+});
+
+// Build a signed event as the gateway would deliver it. For a captured payment
+// the matching signed checkout callback is returned as well.
+export const simulateEvent = ({ event = 'payment.captured', orderId, paymentId = randomId('pay'), amount, reason = null }) => {
+  const body = JSON.stringify({
+    id: randomId('evt'),
+    event,
+    order_id: orderId,
+    payment_id: paymentId,
+    refund_id: event.startsWith('refund.') ? randomId('rfnd') : undefined,
+    dispute_id: event.startsWith('dispute.') ? randomId('disp') : undefined,
+    amount,
+    reason
+  });
+
+  return {
+    checkout: event === 'payment.captured'
+      ? { order_id: orderId, payment_id: paymentId, signature: hmac(SECRET, `${orderId}|${paymentId}`) }
+      : null,
+    webhook: {
+      body,
+      headers: { 'X-Mock-Signature': hmac(SECRET, body) }
+    }
+  };
+};
@@ -0,0 +1,120 @@
+import dotenv from 'dotenv';
+import { sha256, signaturesMatch, toPaise, gatewayError, isSecretSet } from './signing.js';
+
+dotenv.config();
+
+// PhonePe Standard Checkout (PG v1): https://developer.phonepe.com/v1/docs/pay-api
+
+const API_URL = process.env.PHONEPE_ENV === 'production'
+  ? 'https://api.phonepe.com/apis/hermes'
+  : 'https://api-preprod.phonepe.com/apis/pg-sandbox';
+
+const MERCHANT_ID = process.env.PHONEPE_MERCHANT_ID || '';
+const SALT_KEY = process.env.PHONEPE_SALT_KEY || '';
+const SALT_INDEX = process.env.PHONEPE_SALT_INDEX || '1';
+const CALLBACK_URL = process.env.PHONEPE_CALLBACK_URL || '';
+const REDIRECT_URL = process.env.PHONEPE_REDIRECT_URL || '';
+
+// PhonePe response codes mapped to our normalized event types
+const EVENT_TYPES = {
+  PAYMENT_SUCCESS: 'payment.captured',
+  PAYMENT_ERROR: 'payment.failed',
+  PAYMENT_DECLINED: 'payment.failed',
+  TIMED_OUT: 'payment.failed'
+};
+
+// X-VERIFY checksum: sha256(payload + path + salt key) ### salt index
+const checksum = (value) => `${sha256(`${value}${SALT_KEY}`)}###${SALT_INDEX}`;
+
+const request = async (path, payload) => {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64');
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-VERIFY': checksum(`${encoded}${path}`)
+    },
+    body: JSON.stringify({ request: encoded })
+  });
+
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw gatewayError(data.message || `PhonePe request to ${path} failed`);
+  }
+  return data;
+};
+
+const decodeResponse = (body) => {
+  try {
+    return JSON.parse(Buffer.from(body.response || '', 'base64').toString());
+  } catch (error) {
+    return {};
+  }
+};
+
+export const name = 'phonepe';
+
+export const isConfigured = () => Boolean(MERCHANT_ID) && isSecretSet(SALT_KEY);
+
+export const createPayment = async ({ amount, reference, customer = {} }) => {
+  const data = await request('/pg/v1/pay', {
+    merchantId: MERCHANT_ID,
+    merchantTransactionId: reference,
+    merchantUserId: customer.id,
+    amount: toPaise(amount),
+    redirectUrl: REDIRECT_URL,
+    redirectMode: 'REDIRECT',
+    callbackUrl: CALLBACK_URL,
+    mobileNumber: customer.phone,
+    paymentInstrument: { type: 'PAY_PAGE' }
+  });
+
+  return {
+    orderId: reference,
+    checkout: {
+      order_id: reference,
+      redirect_url: data.data?.instrumentResponse?.redirectInfo?.url
+    }
+  };
+};
+
+// The redirect back from PhonePe is not signed; the server callback confirms payment
+export const verifyCheckout = () => ({ valid: false });
+
+export const verifyWebhook = ({ body, headers }) => {
+  const signature = headers['x-verify'];
+  if (!isConfigured() || !body?.response) {
+    return false;
+  }
+  return signaturesMatch(checksum(body.response), signature);
+};
+
+export const parseEvent = ({ body }) => {
+  const decoded = decodeResponse(body);
+  const data = decoded.data || {};
+
+  return {
+    id: null,
+    type: EVENT_TYPES[decoded.code] || 'unknown',
+    rawType: decoded.code,
+    orderId: data.merchantTransactionId || null,
+    paymentId: data.transactionId || null,
+    refundId: null,
+    disputeId: null,
+    amount: data.amount !== undefined ? data.amount / 100 : null,
+    reason: decoded.success ? null : decoded.message || null
+  };
+};
+
+export const refund = async ({ orderId, amount, reference }) => {
+  const data = await request('/pg/v1/refund', {
+    merchantId: MERCHANT_ID,
+    merchantTransactionId: reference,
+    originalTransactionId: orderId,
+    amount: toPaise(amount),
+    callbackUrl: CALLBACK_URL
+  });
+
+  return { refundId: data.data?.transactionId, status: data.code };
+};
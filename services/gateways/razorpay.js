@@ -0,0 +1,117 @@
+import dotenv from 'dotenv';
+import { hmac, signaturesMatch, toPaise, gatewayError, isSecretSet } from './signing.js';
+
+dotenv.config();
+
+// Razorpay Standard Checkout: https://razorpay.com/docs/payments/payment-gateway/
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+const KEY_ID = process.env.RAZORPAY_KEY_ID || '';
+const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || '';
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || '';
+
+// Razorpay event names mapped to our normalized ones
+const EVENT_TYPES = {
+  'payment.captured': 'payment.captured',
+  'payment.failed': 'payment.failed',
+  'refund.processed': 'refund.processed',
+  'payment.dispute.created': 'dispute.created',
+  'payment.dispute.won': 'dispute.won',
+  'payment.dispute.lost': 'dispute.lost'
+};
+
+const request = async (path, body) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Basic ${Buffer.from(`${KEY_ID}:${KEY_SECRET}`).toString('base64')}`
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw gatewayError(data.error?.description || `Razorpay request to ${path} failed`);
+  }
+  return data;
+};
+
+export const name = 'razorpay';
+
+export const isConfigured = () => Boolean(KEY_ID) && isSecretSet(KEY_SECRET) && isSecretSet(WEBHOOK_SECRET);
+
+export const createPayment = async ({ amount, reference, notes = {} }) => {
+  const order = await request('/orders', {
+    amount: toPaise(amount),
+    currency: 'INR',
+    receipt: reference,
+    notes
+  });
+
+  return {
+    orderId: order.id,
+    checkout: {
+      key: KEY_ID,
+      order_id: order.id,
+      amount: order.amount,
+      currency: order.currency
+    }
+  };
+};
+
+export const verifyCheckout = (payload = {}) => {
+  const {
+    razorpay_order_id: orderId,
+    razorpay_payment_id: paymentId,
+    razorpay_signature: signature
+  } = payload;
+
+  if (!isConfigured() || !orderId || !paymentId) {
+    return { valid: false };
+  }
+
+  return {
+    valid: signaturesMatch(hmac(KEY_SECRET, `${orderId}|${paymentId}`), signature),
+    orderId,
+    paymentId
+  };
+};
+
+export const verifyWebhook = ({ rawBody, headers }) => {
+  const signature = headers['x-razorpay-signature'];
+  return isConfigured() && Boolean(rawBody) && signaturesMatch(hmac(WEBHOOK_SECRET, rawBody.toString()), signature);
+};
+
+export const parseEvent = ({ body, headers }) => {
+  const payload = body.payload || {};
+  const payment = payload.payment?.entity || {};
+  const refund = payload.refund?.entity;
+  const dispute = payload.dispute?.entity;
+
+  let amount = payment.amount;
+  if (refund) amount = refund.amount;
+  if (dispute) amount = dispute.amount;
+
+  return {
+    id: headers['x-razorpay-event-id'] || null,
+    type: EVENT_TYPES[body.event] || 'unknown',
+    rawType: body.event,
+    orderId: payment.order_id || null,
+    paymentId: payment.id || refund?.payment_id || dispute?.payment_id || null,
+    refundId: refund?.id || null,
+    disputeId: dispute?.id || null,
+    amount: amount !== undefined ? amount / 100 : null,
+    reason: payment.error_description || dispute?.reason_description || dispute?.reason_code || null
+  };
+};
+
+export const refund = async ({ paymentId, amount, reference }) => {
+  const data = await request(`/payments/${paymentId}/refund`, {
+    amount: toPaise(amount),
+    receipt: reference
+  });
+
+  return { refundId: data.id, status: data.status };
+};
@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+
+export const hmac = (secret, value, encoding = 'hex') => crypto
+  .createHmac('sha256', secret)
+  .update(value)
+  .digest(encoding);
+
+export const sha256 = (value) => crypto
+  .createHash('sha256')
+  .update(value)
+  .digest('hex');
+
+// Constant time comparison of two signatures
+export const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || expected.length !== received.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+// Example values from the docs and earlier defaults. A provider left with
+// one of them would accept signatures anyone can compute.
+const PLACEHOLDER_SECRETS = [
+  'your_key_secret_here',
+  'your_webhook_secret_here',
+  'your-razorpay-key-secret',
+  'mock_gateway_secret'
+];
+
+export const isSecretSet = (secret) => Boolean(secret) && !PLACEHOLDER_SECRETS.includes(secret);
+
+// The offline mock providers sign with a secret from the environment and let
+// users settle their own deposits, so they only run when asked for and
+// never in production
+export const mocksEnabled = () => process.env.MOCK_PROVIDERS_ENABLED === 'true'
+  && process.env.NODE_ENV !== 'production';
+
+export const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+export const gatewayError = (message, statusCode = 502) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
@@ -0,0 +1,16 @@
+import { expireStaleDeposits } from '../depositService.js';
+
+export const name = 'deposit-expiry';
+export const description = 'Expire deposits left unpaid past PAYMENT_TIMEOUT';
+export const schedule = '* * * * *';
+export const timezone = 'Asia/Kolkata';
+export const retry = { maxAttempts: 1, backoffSeconds: 0 };
+export const runOnStartup = false;
+
+export const run = async () => {
+  const expired = await expireStaleDeposits();
+  if (expired > 0) {
+    console.log(`Expired ${expired} stale pending deposits.`);
+  }
+  return { expired };
+};
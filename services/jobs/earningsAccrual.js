@@ -0,0 +1,31 @@
+import { catchUpAccruals, ACCRUAL_LOCK, ACCRUAL_TIMEZONE } from '../earningsService.js';
+
+export const name = ACCRUAL_LOCK;
+export const description = 'Pay daily earnings for every day not paid yet';
+export const schedule = '0 0 * * *';
+export const timezone = ACCRUAL_TIMEZONE;
+export const retry = { maxAttempts: 3, backoffSeconds: 300 };
+
+// Catch up on days missed while the server was down
+export const runOnStartup = true;
+
+export const run = async ({ trigger, signal }) => {
+  const runs = await catchUpAccruals({ trigger, signal });
+  runs.forEach(accrual => {
+    console.log(`Earnings for ${accrual.day} ${accrual.status}: ${accrual.ordersPaid} orders paid ₹${accrual.amountPaid}${accrual.ordersFailed ? `, ${accrual.ordersFailed} failed` : ''}`);
+  });
+
+  // Failed batches are paid by the catch-up of the next attempt
+  const failed = runs.filter(accrual => accrual.status === 'failed');
+  if (failed.length > 0) {
+    throw new Error(`Earnings for ${failed.map(accrual => accrual.day).join(', ')} failed: ${failed[0].error}`);
+  }
+
+  return {
+    days: runs.map(accrual => ({
+      day: accrual.day,
+      ordersPaid: accrual.ordersPaid,
+      amountPaid: accrual.amountPaid
+    }))
+  };
+};
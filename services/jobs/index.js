@@ -0,0 +1,27 @@
+import * as earningsAccrual from './earningsAccrual.js';
+import * as depositExpiry from './depositExpiry.js';
+
+// Every scheduled job implements the same interface:
+//
+//   name             job identifier, also the name of its job lock
+//   description
+//   schedule         default cron expression
+//   timezone         default timezone the schedule is evaluated in
+//   retry            default { maxAttempts, backoffSeconds }
+//   runOnStartup     also run when the server starts
+//   run({ trigger, signal })
+//                    -> result stored on the run; throws to fail the attempt.
+//                    `signal` aborts when the job lock is lost, the job must
+//                    stop at its next safe point and not be retried.
+//
+// The defaults only seed the job's settings in the database, where admins
+// can change them.
+
+const jobs = {
+  [earningsAccrual.name]: earningsAccrual,
+  [depositExpiry.name]: depositExpiry
+};
+
+export const listJobHandlers = () => Object.values(jobs);
+
+export const getJobHandler = (name) => jobs[name] || null;
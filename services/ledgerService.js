@@ -0,0 +1,286 @@
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import User from '../models/User.js';
+
+// Ledger accounts. `user:*` accounts belong to the entry's user and are
+// cached on the User document; `system:*` accounts are the platform side.
+export const ACCOUNTS = {
+  WALLET: 'user:wallet',
+  FROZEN: 'user:frozen',
+  HELD: 'user:held',
+  DEPOSITS: 'system:deposits',
+  WITHDRAWALS: 'system:withdrawals',
+  SALES: 'system:sales',
+  EARNINGS: 'system:earnings',
+  REFERRALS: 'system:referrals',
+  ADJUSTMENTS: 'system:adjustments',
+  REFUNDS: 'system:refunds',
+  CHARGEBACKS: 'system:chargebacks',
+  FEES: 'system:fees',
+  OPENING: 'system:opening'
+};
+
+// User accounts and the User field that caches their balance
+const USER_ACCOUNT_FIELDS = {
+  [ACCOUNTS.WALLET]: 'balance',
+  [ACCOUNTS.FROZEN]: 'frozenBalance',
+  [ACCOUNTS.HELD]: 'heldBalance'
+};
+
+const roundAmount = (amount) => Math.round(Number(amount) * 100) / 100;
+
+const generateEntryId = () => {
+  const random = Math.random().toString(36).substr(2, 5).toUpperCase();
+  return `LED${Date.now()}${random}`;
+};
+
+const insufficientBalanceError = () => {
+  const error = new Error('Insufficient balance');
+  error.statusCode = 400;
+  return error;
+};
+
+// Round the lines of an entry and work out how much each cached user balance
+// moves. The guard is the filter that keeps a debit from taking a cached
+// balance below zero, empty when negative balances are allowed.
+export const balanceUpdate = (lines, allowNegative = false) => {
+  const normalizedLines = lines.map(line => ({
+    account: line.account,
+    debit: roundAmount(line.debit || 0),
+    credit: roundAmount(line.credit || 0)
+  }));
+
+  const increments = {};
+  normalizedLines.forEach(line => {
+    const field = USER_ACCOUNT_FIELDS[line.account];
+    if (field) {
+      increments[field] = roundAmount((increments[field] || 0) + line.credit - line.debit);
+    }
+  });
+
+  const guard = {};
+  if (!allowNegative) {
+    Object.entries(increments).forEach(([field, delta]) => {
+      if (delta < 0) {
+        guard[field] = { $gte: -delta };
+      }
+    });
+  }
+
+  return { lines: normalizedLines, increments, guard };
+};
+
+// Post a balanced entry and update the cached balances of the user in one step
+export const postEntry = async ({
+  userId,
+  reason,
+  lines,
+  reference = {},
+  description = null,
+  allowNegative = false,
+  session = null
+}) => {
+  const { lines: normalizedLines, increments, guard } = balanceUpdate(lines, allowNegative);
+
+  // Never let a debit push a cached balance below zero unless explicitly allowed
+  const filter = { _id: userId, ...guard };
+
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: increments },
+    { new: true, session }
+  );
+
+  if (!user) {
+    const exists = await User.exists({ _id: userId }).session(session);
+    if (!exists) {
+      throw new Error('User not found');
+    }
+    throw insufficientBalanceError();
+  }
+
+  const [entry] = await LedgerEntry.create([{
+    entryId: generateEntryId(),
+    userId,
+    reason,
+    reference: {
+      kind: reference.kind || null,
+      id: reference.id ? String(reference.id) : null
+    },
+    description,
+    lines: normalizedLines,
+    amount: increments.balance || 0,
+    balanceAfter: user.balance
+  }], { session });
+
+  return entry;
+};
+
+// Credit the user's wallet against a system account
+export const creditWallet = ({ userId, amount, from, ...options }) => {
+  const value = roundAmount(amount);
+  return postEntry({
+    userId,
+    lines: [
+      { account: from, debit: value },
+      { account: ACCOUNTS.WALLET, credit: value }
+    ],
+    ...options
+  });
+};
+
+// Credit many wallets against a system account with bulk writes, e.g. a
+// batch of daily earnings. `credits` is [{ userId, amount, reference,
+// description }]; a user may appear more than once.
+export const creditWallets = async ({ credits, from, reason, session = null }) => {
+  if (credits.length === 0) {
+    return [];
+  }
+
+  const totals = new Map();
+  credits.forEach(credit => {
+    const key = String(credit.userId);
+    totals.set(key, roundAmount((totals.get(key) || 0) + roundAmount(credit.amount)));
+  });
+
+  const result = await User.bulkWrite([...totals].map(([userId, amount]) => ({
+    updateOne: { filter: { _id: userId }, update: { $inc: { balance: amount } } }
+  })), { session });
+
+  if (result.matchedCount !== totals.size) {
+    throw new Error('User not found');
+  }
+
+  // Work back from the final balances to the balance after each entry
+  const users = await User.find({ _id: { $in: [...totals.keys()] } }).select('balance').session(session);
+  const balances = new Map(users.map(user => [String(user._id), user.balance]));
+  const balanceAfter = new Array(credits.length);
+  for (let index = credits.length - 1; index >= 0; index -= 1) {
+    const key = String(credits[index].userId);
+    balanceAfter[index] = balances.get(key);
+    balances.set(key, roundAmount(balances.get(key) - roundAmount(credits[index].amount)));
+  }
+
+  const entryIds = new Set();
+  while (entryIds.size < credits.length) {
+    entryIds.add(generateEntryId());
+  }
+
+  return LedgerEntry.insertMany([...entryIds].map((entryId, index) => {
+    const { userId, amount, reference = {}, description = null } = credits[index];
+    const value = roundAmount(amount);
+
+    return {
+      entryId,
+      userId,
+      reason,
+      reference: {
+        kind: reference.kind || null,
+        id: reference.id ? String(reference.id) : null
+      },
+      description,
+      lines: [
+        { account: from, debit: value, credit: 0 },
+        { account: ACCOUNTS.WALLET, debit: 0, credit: value }
+      ],
+      amount: value,
+      balanceAfter: balanceAfter[index]
+    };
+  }), { session });
+};
+
+// Debit the user's wallet into a system account
+export const debitWallet = ({ userId, amount, to, ...options }) => {
+  const value = roundAmount(amount);
+  return postEntry({
+    userId,
+    lines: [
+      { account: ACCOUNTS.WALLET, debit: value },
+      { account: to, credit: value }
+    ],
+    ...options
+  });
+};
+
+// Move the wallet to an exact balance, recording the difference as an adjustment
+export const adjustWalletTo = async ({ userId, balance, description = null, session = null }) => {
+  const user = await User.findById(userId).session(session);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const difference = roundAmount(balance - user.balance);
+  if (difference === 0) {
+    return null;
+  }
+
+  const options = {
+    userId,
+    amount: Math.abs(difference),
+    reason: 'admin_adjustment',
+    description,
+    session
+  };
+
+  return difference > 0
+    ? creditWallet({ ...options, from: ACCOUNTS.ADJUSTMENTS })
+    : debitWallet({ ...options, to: ACCOUNTS.ADJUSTMENTS });
+};
+
+// Sum the ledger for a user account; this is the source of truth for cached balances
+export const getLedgerBalance = async (userId, account = ACCOUNTS.WALLET) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': account } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+      }
+    }
+  ]);
+
+  return roundAmount(result?.total || 0);
+};
+
+// Recompute the cached balances of a user from the ledger
+export const rebuildUserBalance = async (userId) => {
+  const update = {};
+  for (const [account, field] of Object.entries(USER_ACCOUNT_FIELDS)) {
+    update[field] = await getLedgerBalance(userId, account);
+  }
+
+  return User.findByIdAndUpdate(userId, update, { new: true }).select('-password');
+};
+
+// Record the part of a cached balance the ledger cannot explain as an opening
+// balance, without moving the cached balance itself. Used when migrating
+// balances that predate the ledger.
+export const openUserLedger = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const ledgerBalance = await getLedgerBalance(userId);
+  const difference = roundAmount(user.balance - ledgerBalance);
+  if (difference === 0) {
+    return null;
+  }
+
+  const value = Math.abs(difference);
+  const lines = difference > 0
+    ? [{ account: ACCOUNTS.OPENING, debit: value, credit: 0 }, { account: ACCOUNTS.WALLET, debit: 0, credit: value }]
+    : [{ account: ACCOUNTS.WALLET, debit: value, credit: 0 }, { account: ACCOUNTS.OPENING, debit: 0, credit: value }];
+
+  return LedgerEntry.create({
+    entryId: generateEntryId(),
+    userId,
+    reason: 'opening_balance',
+    description: 'Balance carried over from before the ledger',
+    lines,
+    amount: difference,
+    balanceAfter: user.balance
+  });
+};
@@ -0,0 +1,134 @@
+import os from 'os';
+import crypto from 'crypto';
+import JobLock from '../models/JobLock.js';
+
+// Name this app instance goes by in job locks
+export const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+
+// How long a lease lasts without being renewed. The holder renews it every
+// third of this, so an instance that dies frees its jobs after at most this.
+export const LOCK_TTL_MS = parseInt(process.env.JOB_LOCK_TTL_MS) || 60 * 1000;
+
+// Take the lease on a job when it is free or its holder stopped renewing it.
+// Returns the lease, or null while another run holds it (in this or any
+// other instance).
+export const acquireLock = async (name, { ttlMs = LOCK_TTL_MS } = {}) => {
+  const now = new Date();
+  const token = crypto.randomUUID();
+
+  let previous;
+  try {
+    previous = await JobLock.findOneAndUpdate(
+      { name, $or: [{ holder: null }, { expiresAt: { $lte: now } }] },
+      {
+        $set: {
+          holder: INSTANCE_ID,
+          token,
+          acquiredAt: now,
+          renewedAt: now,
+          expiresAt: new Date(now.getTime() + ttlMs),
+          releasedAt: null
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Held: the filter did not match and the upsert hit the unique name
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (previous?.holder) {
+    console.warn(`Job lock ${name} taken over from ${previous.holder}, which stopped renewing it at ${previous.renewedAt?.toISOString()}`);
+    await JobLock.updateOne(
+      { name, token },
+      { $set: { recoveredFrom: previous.holder, recoveredAt: now }, $inc: { staleRecoveries: 1 } }
+    );
+  }
+
+  return { name, token, ttlMs };
+};
+
+// Extend a lease. False when it expired and was taken over meanwhile.
+export const renewLock = async (lease) => {
+  const now = new Date();
+  const result = await JobLock.updateOne(
+    { name: lease.name, token: lease.token },
+    { renewedAt: now, expiresAt: new Date(now.getTime() + lease.ttlMs) }
+  );
+  return result.matchedCount === 1;
+};
+
+export const releaseLock = async (lease) => {
+  await JobLock.updateOne(
+    { name: lease.name, token: lease.token },
+    {
+      holder: null,
+      token: null,
+      expiresAt: null,
+      releasedAt: new Date(),
+      lastHolder: INSTANCE_ID
+    }
+  );
+};
+
+const lockLostError = (lease) => {
+  const error = new Error(`Job lock ${lease.name} was lost`);
+  error.code = 'LOCK_LOST';
+  return error;
+};
+
+// Run a job under a lease taken with acquireLock, renewing it while the job
+// runs and releasing it when the job ends. The job is called with an
+// AbortSignal that fires when the lease is lost, because it was taken over or
+// could not be renewed before it expired: another instance may be running
+// the same job by then, so the job has to stop at its next safe point.
+export const holdLock = async (lease, fn) => {
+  const controller = new AbortController();
+  const interval = Math.max(Math.floor(lease.ttlMs / 3), 1000);
+  let expiresAt = Date.now() + lease.ttlMs;
+
+  const lose = (reason) => {
+    if (controller.signal.aborted) return;
+    console.error(`Job lock ${lease.name} ${reason}, stopping the job`);
+    clearInterval(heartbeat);
+    controller.abort(lockLostError(lease));
+  };
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (await renewLock(lease)) {
+        expiresAt = Date.now() + lease.ttlMs;
+      } else {
+        lose('was lost while the job was still running');
+      }
+    } catch (error) {
+      console.error(`Renewing job lock ${lease.name} failed:`, error.message);
+      if (Date.now() + interval >= expiresAt) {
+        lose('could not be renewed before it expires');
+      }
+    }
+  }, interval);
+  heartbeat.unref();
+
+  try {
+    return await fn(controller.signal);
+  } finally {
+    clearInterval(heartbeat);
+    await releaseLock(lease).catch(error => {
+      console.error(`Releasing job lock ${lease.name} failed:`, error.message);
+    });
+  }
+};
+
+// Run a job unless another run holds its lock. Returns { acquired: false }
+// when skipped, otherwise { acquired: true, result }.
+export const withLock = async (name, fn, options = {}) => {
+  const lease = await acquireLock(name, options);
+  if (!lease) {
+    return { acquired: false };
+  }
+  return { acquired: true, result: await holdLock(lease, fn) };
+};
@@ -0,0 +1,12 @@
+import Notification from '../models/Notification.js';
+
+// Send an in-app notification. A failure is logged and never fails the
+// action the user is being notified about.
+export const notify = async (userId, { type, title, message, data = null }) => {
+  try {
+    return await Notification.create({ userId, type, title, message, data });
+  } catch (error) {
+    console.error(`Notification ${type} for user ${userId} failed:`, error.message);
+    return null;
+  }
+};
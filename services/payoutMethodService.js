@@ -0,0 +1,352 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import BankDetailsChange from '../models/BankDetailsChange.js';
+import WithdrawalPolicy from '../models/WithdrawalPolicy.js';
+import { getBankChangeLock } from '../utils/helpers.js';
+import { startVerification, refreshVerification } from './bankVerificationService.js';
+import { notify } from './notificationService.js';
+
+export const PAYOUT_METHOD_TYPES = ['bank', 'upi'];
+
+// Most payout methods a user can keep saved
+export const MAX_PAYOUT_METHODS = 5;
+
+const BANK_FIELDS = ['bankName', 'accountHolderName', 'accountNumber', 'ifscCode'];
+const VERIFICATION_FIELDS = [
+  'verificationStatus',
+  'verificationMethod',
+  'verificationProvider',
+  'verificationReference',
+  'registeredName',
+  'verificationNote',
+  'submittedAt',
+  'verifiedAt',
+  'verifiedBy'
+];
+
+const methodError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Fresh verification state for newly submitted details
+const pendingVerification = () => ({
+  verificationStatus: 'pending',
+  verificationMethod: null,
+  verificationProvider: null,
+  verificationReference: null,
+  registeredName: null,
+  verificationNote: null,
+  submittedAt: new Date(),
+  verifiedAt: null,
+  verifiedBy: null
+});
+
+const sameInstrument = (method, details) => (details.type === 'upi'
+  ? method.type === 'upi' && method.vpa === details.vpa
+  : method.type === 'bank' && method.accountNumber === details.accountNumber && method.ifscCode === details.ifscCode);
+
+const describe = (method) => (method.type === 'upi'
+  ? `UPI ID ${method.vpa}`
+  : `bank account ending ${String(method.accountNumber).slice(-4)}`);
+
+// Record a change to the user's payout methods in the history and notify
+// the user. Adding or changing an account locks withdrawals for the
+// withdrawal policy's bankChangeLockHours. `meta` is { ip, userAgent }.
+const recordChange = async (user, { action, methodId, before = null, after = null }, meta = {}) => {
+  const policy = await WithdrawalPolicy.getPolicy();
+  let current = user;
+  let lockedUntil = null;
+
+  if (action !== 'removed') {
+    const changedAt = new Date();
+    current = await User.findByIdAndUpdate(
+      user._id,
+      { bankDetailsChangedAt: changedAt },
+      { new: true }
+    ).select('-password');
+    lockedUntil = getBankChangeLock(current, policy, changedAt);
+  }
+
+  await BankDetailsChange.create({
+    userId: user._id,
+    action,
+    methodId,
+    before,
+    after,
+    lockedUntil,
+    ip: meta.ip || null,
+    userAgent: meta.userAgent || null
+  });
+
+  const messages = {
+    added: `A ${describe(after)} was added to your account for withdrawals.`,
+    updated: `Your ${describe(before)} was replaced with a ${describe(after)}.`,
+    removed: `The ${describe(before)} was removed from your account.`
+  };
+
+  await notify(user._id, {
+    type: 'bank_details_changed',
+    title: 'Bank details changed',
+    message: [
+      messages[action],
+      lockedUntil && `Withdrawals are locked until ${lockedUntil.toLocaleString('en-IN', { timeZone: policy.timezone })}.`,
+      'If you did not make this change, contact support immediately.'
+    ].filter(Boolean).join(' '),
+    data: { action, methodId, lockedUntil }
+  });
+
+  return current;
+};
+
+// Users who saved bank details before payout methods existed get them as
+// their primary method, keeping the verification they already have
+export const ensurePayoutMethods = async (user) => {
+  const bank = user.bankDetails || {};
+  if (user.payoutMethods?.length > 0 || !bank.accountNumber) {
+    return user;
+  }
+
+  const method = {
+    type: 'bank',
+    label: bank.bankName,
+    isPrimary: true,
+    ...Object.fromEntries([...BANK_FIELDS, ...VERIFICATION_FIELDS].map(field => [field, bank[field]]))
+  };
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, payoutMethods: { $size: 0 } },
+    { $push: { payoutMethods: method } },
+    { new: true }
+  ).select('-password');
+
+  // Migrated by a concurrent request
+  return updated || User.findById(user._id).select('-password');
+};
+
+// The user's payout methods, with pending penny drops checked again (at most
+// once per refresh interval, see refreshVerification)
+export const getPayoutMethods = async (user) => {
+  let current = await ensurePayoutMethods(user);
+
+  for (const id of current.payoutMethods.map(method => method._id)) {
+    const method = current.payoutMethods.id(id);
+    if (method) {
+      current = await refreshVerification(current, method);
+    }
+  }
+
+  return current;
+};
+
+// Find one of the user's payout methods, or the primary one without an id
+export const findPayoutMethod = (user, methodId = null) => {
+  if (!methodId) {
+    return user.payoutMethods.find(method => method.isPrimary) || null;
+  }
+  if (!mongoose.isValidObjectId(methodId)) {
+    return null;
+  }
+  return user.payoutMethods.id(methodId);
+};
+
+const requireMethod = (user, methodId) => {
+  const method = findPayoutMethod(user, methodId);
+  if (!method) {
+    throw methodError('Payout method not found', 404);
+  }
+  return method;
+};
+
+// Make one payout method the primary and clear the flag on the others
+export const setPrimaryPayoutMethod = async (user, methodId) => {
+  const current = await ensurePayoutMethods(user);
+  const method = requireMethod(current, methodId);
+
+  const updated = await User.findOneAndUpdate(
+    { _id: current._id, 'payoutMethods._id': method._id },
+    {
+      $set: {
+        'payoutMethods.$[other].isPrimary': false,
+        'payoutMethods.$[chosen].isPrimary': true
+      }
+    },
+    {
+      new: true,
+      arrayFilters: [{ 'other._id': { $ne: method._id } }, { 'chosen._id': method._id }]
+    }
+  ).select('-password');
+
+  if (!updated) {
+    throw methodError('Payout method not found', 404);
+  }
+  return User.syncBankDetails(updated);
+};
+
+// Save a new bank account or UPI ID and start verifying it. The first
+// method a user saves becomes the primary.
+export const addPayoutMethod = async (user, details, meta = {}) => {
+  const current = await ensurePayoutMethods(user);
+
+  if (current.payoutMethods.some(method => sameInstrument(method, details))) {
+    throw methodError('This payout method is already saved');
+  }
+
+  const method = current.payoutMethods.create({
+    type: details.type,
+    label: details.label || null,
+    accountHolderName: details.accountHolderName,
+    ...(details.type === 'upi'
+      ? { vpa: details.vpa }
+      : {
+        bankName: details.bankName,
+        accountNumber: details.accountNumber,
+        ifscCode: details.ifscCode
+      }),
+    isPrimary: false,
+    ...pendingVerification()
+  });
+
+  // The size check in the filter keeps concurrent requests under the limit
+  let updated = await User.findOneAndUpdate(
+    { _id: current._id, [`payoutMethods.${MAX_PAYOUT_METHODS - 1}`]: { $exists: false } },
+    { $push: { payoutMethods: method } },
+    { new: true }
+  ).select('-password');
+
+  if (!updated) {
+    throw methodError(`You can save up to ${MAX_PAYOUT_METHODS} payout methods`);
+  }
+
+  if (details.isPrimary || !updated.payoutMethods.some(saved => saved.isPrimary)) {
+    updated = await setPrimaryPayoutMethod(updated, method._id);
+  } else {
+    updated = await User.syncBankDetails(updated);
+  }
+
+  updated = await recordChange(updated, {
+    action: 'added',
+    methodId: method._id,
+    after: snapshotPayoutMethod(method)
+  }, meta);
+
+  updated = (await startVerification(updated, updated.payoutMethods.id(method._id))) || updated;
+  return { user: updated, method: updated.payoutMethods.id(method._id) };
+};
+
+// Rename a payout method or make it the primary. Account details cannot be
+// edited; a changed account is saved as a new method.
+export const updatePayoutMethod = async (user, methodId, { label, isPrimary }) => {
+  const current = await ensurePayoutMethods(user);
+  const method = requireMethod(current, methodId);
+  let updated = current;
+
+  if (label !== undefined) {
+    updated = await User.findOneAndUpdate(
+      { _id: current._id, 'payoutMethods._id': method._id },
+      { 'payoutMethods.$.label': label || null },
+      { new: true }
+    ).select('-password');
+
+    if (!updated) {
+      throw methodError('Payout method not found', 404);
+    }
+  }
+
+  if (isPrimary) {
+    updated = await setPrimaryPayoutMethod(updated, method._id);
+  }
+
+  return { user: updated, method: updated.payoutMethods.id(method._id) };
+};
+
+// Delete a payout method. Withdrawals already requested keep their snapshot;
+// when the primary is removed the oldest remaining method takes its place.
+export const removePayoutMethod = async (user, methodId, meta = {}) => {
+  const current = await ensurePayoutMethods(user);
+  const method = requireMethod(current, methodId);
+
+  let updated = await User.findOneAndUpdate(
+    { _id: current._id },
+    { $pull: { payoutMethods: { _id: method._id } } },
+    { new: true }
+  ).select('-password');
+
+  updated = await recordChange(updated, {
+    action: 'removed',
+    methodId: method._id,
+    before: snapshotPayoutMethod(method)
+  }, meta);
+
+  if (updated.payoutMethods.length > 0 && !updated.payoutMethods.some(saved => saved.isPrimary)) {
+    return setPrimaryPayoutMethod(updated, updated.payoutMethods[0]._id);
+  }
+  return User.syncBankDetails(updated);
+};
+
+// Save bank details through the single-account API: they replace the bank
+// account shown as `bankDetails`, or are added when there is none yet
+export const saveBankAccount = async (user, details, meta = {}) => {
+  const current = await ensurePayoutMethods(user);
+  const account = current.primaryBankAccount();
+
+  if (!account) {
+    return (await addPayoutMethod(current, { ...details, type: 'bank' }, meta)).user;
+  }
+
+  const detailsChanged = account.accountNumber !== details.accountNumber
+    || account.ifscCode !== details.ifscCode
+    || account.accountHolderName !== details.accountHolderName;
+
+  // Changing the account (or its holder) needs a new verification
+  const accountChanged = detailsChanged
+    || ['unverified', 'rejected'].includes(account.verificationStatus);
+
+  if (accountChanged && current.payoutMethods.some(method => !method._id.equals(account._id)
+    && sameInstrument(method, { ...details, type: 'bank' }))) {
+    throw methodError('This payout method is already saved');
+  }
+
+  const fields = {
+    ...Object.fromEntries(BANK_FIELDS.map(field => [field, details[field]])),
+    ...(accountChanged ? pendingVerification() : {})
+  };
+
+  let updated = await User.findOneAndUpdate(
+    { _id: current._id, 'payoutMethods._id': account._id },
+    Object.fromEntries(Object.entries(fields).map(([field, value]) => [`payoutMethods.$.${field}`, value])),
+    { new: true, runValidators: true }
+  ).select('-password');
+
+  if (!updated) {
+    throw methodError('Payout method not found', 404);
+  }
+  updated = await User.syncBankDetails(updated);
+
+  if (detailsChanged) {
+    updated = await recordChange(updated, {
+      action: 'updated',
+      methodId: account._id,
+      before: snapshotPayoutMethod(account),
+      after: snapshotPayoutMethod(updated.payoutMethods.id(account._id))
+    }, meta);
+  }
+
+  if (accountChanged) {
+    updated = (await startVerification(updated, updated.payoutMethods.id(account._id))) || updated;
+  }
+  return updated;
+};
+
+// Copy of a payout method stored on a withdrawal
+export const snapshotPayoutMethod = (method) => ({
+  methodId: method._id,
+  type: method.type,
+  label: method.label,
+  accountHolderName: method.accountHolderName,
+  bankName: method.bankName,
+  accountNumber: method.accountNumber,
+  ifscCode: method.ifscCode,
+  vpa: method.vpa
+});
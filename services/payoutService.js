@@ -0,0 +1,256 @@
+import mongoose from 'mongoose';
+import PayoutBatch from '../models/PayoutBatch.js';
+import Transaction from '../models/Transaction.js';
+import { parseCsv, toCsv, neutralizeFormula } from '../utils/csv.js';
+import { settleWithdrawal, releaseWithdrawal, payoutAmount, payoutDestination } from './withdrawalService.js';
+
+export const PAYOUT_MODES = ['NEFT', 'IMPS'];
+
+const generateBatchId = () => {
+  const random = Math.random().toString(36).substr(2, 5).toUpperCase();
+  return `PAY${Date.now()}${random}`;
+};
+
+const payoutError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Batch pending withdrawals for a bank bulk transfer and mark them processing.
+// Withdrawals that cannot be paid (not pending, no bank details) and UPI
+// withdrawals, which only a payout provider can pay, are skipped.
+export const createPayoutBatch = async ({ transactionIds, mode = 'NEFT', createdBy }) => {
+  const ids = transactionIds.filter(id => mongoose.isValidObjectId(id));
+  const transactions = await Transaction.find({
+    $or: [
+      { _id: { $in: ids } },
+      { transactionId: { $in: transactionIds } }
+    ]
+  }).populate('userId', 'fullName bankDetails');
+
+  const skipped = transactionIds
+    .filter(id => !transactions.some(t => String(t._id) === id || t.transactionId === id))
+    .map(id => ({ transactionId: id, reason: 'Transaction not found' }));
+
+  const items = [];
+  transactions.forEach(transaction => {
+    const { destination, reason } = payoutDestination(transaction, transaction.userId);
+
+    if (transaction.type !== 'withdrawal' || transaction.status !== 'pending') {
+      skipped.push({ transactionId: transaction.transactionId, reason: 'Not a pending withdrawal' });
+    } else if (!destination) {
+      skipped.push({ transactionId: transaction.transactionId, reason });
+    } else if (destination.type === 'upi') {
+      skipped.push({ transactionId: transaction.transactionId, reason: 'UPI withdrawals are paid through the payout provider' });
+    } else {
+      items.push({
+        transaction: transaction._id,
+        transactionId: transaction.transactionId,
+        userId: transaction.userId._id,
+        amount: payoutAmount(transaction),
+        accountHolderName: destination.accountHolderName,
+        accountNumber: destination.accountNumber,
+        ifscCode: destination.ifscCode,
+        bankName: destination.bankName
+      });
+    }
+  });
+
+  if (items.length === 0) {
+    throw payoutError(`No payable withdrawals selected: ${skipped.map(s => `${s.transactionId} (${s.reason})`).join(', ')}`);
+  }
+
+  const batch = new PayoutBatch({
+    batchId: generateBatchId(),
+    mode,
+    createdBy,
+    items,
+    totalAmount: Math.round(items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100
+  });
+
+  const session = await PayoutBatch.startSession();
+  session.startTransaction();
+
+  try {
+    // Another admin may have processed or batched one of them meanwhile
+    const result = await Transaction.updateMany(
+      { _id: { $in: items.map(item => item.transaction) }, status: 'pending' },
+      { status: 'processing', payoutBatch: batch._id },
+      { session }
+    );
+
+    if (result.modifiedCount !== items.length) {
+      throw payoutError('Some withdrawals were processed meanwhile, please try again');
+    }
+
+    await batch.save({ session });
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  return { batch, skipped };
+};
+
+// Bank bulk-transfer file for a batch; our transactionId is the narration
+// so the bank's response can be matched back
+export const buildPayoutFile = (batch) => {
+  const rows = [[
+    'Payment Type',
+    'Beneficiary Name',
+    'Beneficiary Account Number',
+    'IFSC Code',
+    'Amount',
+    'Narration',
+    'Beneficiary Bank'
+  ]];
+
+  batch.items.forEach(item => {
+    rows.push([
+      batch.mode,
+      neutralizeFormula(item.accountHolderName),
+      item.accountNumber,
+      item.ifscCode,
+      item.amount.toFixed(2),
+      item.transactionId,
+      neutralizeFormula(item.bankName)
+    ]);
+  });
+
+  return toCsv(rows);
+};
+
+const RESPONSE_COLUMNS = {
+  reference: ['narration', 'customerreference', 'transactionid'],
+  status: ['status', 'transactionstatus', 'paymentstatus'],
+  bankReference: ['utr', 'utrno', 'utrnumber', 'bankreference', 'referenceno'],
+  reason: ['reason', 'failurereason', 'rejectreason', 'errordescription']
+};
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Bank statuses, compared in lower case without spaces or punctuation. Only
+// these are acted on; anything else ("Pending", "Unpaid"...) leaves the
+// withdrawal processing rather than guessing from part of the word.
+const RESPONSE_STATUSES = {
+  success: ['success', 'successful', 'paid', 'processed', 'completed', 'complete', 'executed', 'credited', 'settled'],
+  failed: [
+    'failed', 'failure', 'rejected', 'returned', 'cancelled', 'canceled', 'unsuccessful', 'reversed',
+    'unpaid', 'notpaid', 'incomplete', 'notprocessed', 'notexecuted', 'notcredited', 'declined'
+  ]
+};
+
+export const responseStatus = (value) => {
+  const status = String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+  return Object.keys(RESPONSE_STATUSES).find(outcome => RESPONSE_STATUSES[outcome].includes(status)) || null;
+};
+
+// Parse the bank's response file into { transactionId, status, bankReference, reason }
+export const parsePayoutResponse = (content) => {
+  const rows = parseCsv(content);
+
+  const headerIndex = rows.findIndex(row => {
+    const columns = row.map(normalizeHeader);
+    return RESPONSE_COLUMNS.reference.some(name => columns.includes(name))
+      && RESPONSE_COLUMNS.status.some(name => columns.includes(name));
+  });
+  if (headerIndex === -1) {
+    throw payoutError('Response file needs a narration/transaction id and a status column');
+  }
+
+  const columns = rows[headerIndex].map(normalizeHeader);
+  const column = (names) => columns.findIndex(name => names.includes(name));
+  const index = Object.fromEntries(
+    Object.entries(RESPONSE_COLUMNS).map(([field, names]) => [field, column(names)])
+  );
+
+  return rows.slice(headerIndex + 1)
+    .filter(row => row[index.reference])
+    .map(row => ({
+      transactionId: row[index.reference],
+      status: responseStatus(row[index.status] || ''),
+      bankReference: index.bankReference === -1 ? null : row[index.bankReference] || null,
+      reason: index.reason === -1 ? null : row[index.reason] || null
+    }));
+};
+
+// What a bank response line does to its withdrawal: a paid line pays out the
+// hold, a failed one releases it back to the wallet as a failed payout
+export const responseOutcome = (batch, result) => (result.status === 'success'
+  ? {
+    settle: true,
+    notes: `Paid in payout batch ${batch.batchId}${result.bankReference ? `, UTR ${result.bankReference}` : ''}`
+  }
+  : {
+    settle: false,
+    status: 'failed',
+    notes: `Bank transfer failed: ${result.reason || 'no reason given'}`
+  });
+
+// Settle one batch item: pay out the hold on success, release it on failure
+const settleItem = async (batch, item, result) => {
+  const outcome = responseOutcome(batch, result);
+  const session = await Transaction.startSession();
+  session.startTransaction();
+
+  try {
+    // Only a withdrawal still processing in this batch is settled or released
+    const transaction = { _id: item.transaction };
+    if (outcome.settle) {
+      await settleWithdrawal({
+        transaction,
+        notes: outcome.notes,
+        from: ['processing'],
+        fields: { payoutReference: result.bankReference },
+        session
+      });
+    } else {
+      await releaseWithdrawal({ transaction, notes: outcome.notes, status: outcome.status, from: ['processing'], session });
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  item.status = result.status;
+  item.bankReference = result.bankReference;
+  item.failureReason = result.status === 'failed' ? result.reason : null;
+  item.settledAt = new Date();
+};
+
+// Apply a bank response file; lines for items already settled are ignored
+export const applyPayoutResponse = async ({ batch, content, fileName = null, uploadedBy }) => {
+  const results = parsePayoutResponse(content);
+  const counts = { success: 0, failed: 0, unknown: 0 };
+
+  for (const result of results) {
+    const item = batch.items.find(entry => entry.transactionId === result.transactionId);
+    if (!item || !result.status) {
+      counts.unknown += 1;
+      continue;
+    }
+    if (item.status !== 'processing') {
+      continue;
+    }
+
+    await settleItem(batch, item, result);
+    counts[result.status] += 1;
+  }
+
+  batch.responses.push({ fileName, uploadedBy, ...counts });
+  if (batch.items.every(item => item.status !== 'processing')) {
+    batch.status = 'completed';
+    batch.completedAt = new Date();
+  }
+
+  await batch.save();
+  return { batch, ...counts };
+};
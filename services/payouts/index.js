@@ -0,0 +1,56 @@
+import dotenv from 'dotenv';
+import * as razorpayx from './razorpayx.js';
+import * as mock from './mock.js';
+
+dotenv.config();
+
+// Every payout provider adapter implements the same interface:
+//
+//   name                                        provider identifier stored on withdrawals
+//   isConfigured()                              -> whether its credentials are set
+//   createPayout({ amount, reference, mode, beneficiary, narration })
+//                                               -> { payoutId, status }
+//   verifyWebhook({ rawBody, body, headers })   -> boolean
+//   parseEvent({ body, headers })               -> normalized event (see PAYOUT_EVENT_TYPES)
+//
+// `beneficiary` is { type, name, accountNumber, ifsc, vpa } where type is
+// 'bank' or 'upi' (mode UPI, paid to the vpa). Amounts are in rupees.
+
+export const PAYOUT_EVENT_TYPES = [
+  'payout.processing',
+  'payout.processed',
+  'payout.failed',
+  'payout.reversed',
+  'unknown'
+];
+
+const adapters = {
+  razorpayx,
+  mock
+};
+
+// Only providers with their credentials set are registered, like the payment
+// gateways
+const providers = Object.fromEntries(
+  Object.entries(adapters).filter(([, provider]) => provider.isConfigured())
+);
+
+if (process.env.PAYOUT_PROVIDER && !providers[process.env.PAYOUT_PROVIDER]) {
+  console.warn(`Payout provider ${process.env.PAYOUT_PROVIDER} is not configured; withdrawals are paid by hand`);
+}
+
+// Get an adapter by name, defaulting to the configured PAYOUT_PROVIDER
+export const getPayoutProvider = (name = process.env.PAYOUT_PROVIDER) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(adapters[name]
+      ? `Payout provider ${name} is not configured`
+      : `Unknown payout provider: ${name}`);
+  }
+  return provider;
+};
+
+export const hasPayoutProvider = (name) => Boolean(providers[name]);
+
+// Without PAYOUT_PROVIDER, approved withdrawals are paid by hand or in bank payout batches
+export const payoutsEnabled = () => hasPayoutProvider(process.env.PAYOUT_PROVIDER);
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { hmac, signaturesMatch, isSecretSet, mocksEnabled } from '../gateways/signing.js';
+
+dotenv.config();
+
+// Offline payout provider for development and tests. Payouts are accepted
+// and stay processing until a status webhook arrives; use simulateEvent()
+// to produce one signed with MOCK_GATEWAY_SECRET. Only available with
+// MOCK_PROVIDERS_ENABLED=true outside production.
+
+const SECRET = process.env.MOCK_GATEWAY_SECRET || '';
+
+const randomId = (prefix) => `${prefix}_mock${crypto.randomBytes(7).toString('hex')}`;
+
+export const name = 'mock';
+
+export const isConfigured = () => mocksEnabled() && isSecretSet(SECRET);
+
+export const createPayout = async () => ({
+  payoutId: randomId('pout'),
+  status: 'processing'
+});
+
+export const verifyWebhook = ({ rawBody, headers }) => {
+  return isConfigured() && Boolean(rawBody) && signaturesMatch(hmac(SECRET, rawBody.toString()), headers['x-mock-signature']);
+};
+
+// Mock events are already in our normalized shape
+export const parseEvent = ({ body }) => ({
+  id: body.id || null,
+  type: body.event || 'unknown',
+  rawType: body.event,
+  payoutId: body.payout_id || null,
+  reference: body.reference || null,
+  utr: body.utr || null,
+  amount: body.amount ?? null,
+  reason: body.reason || null
+});
+
+// Build a signed payout status event as the provider would deliver it
+export const simulateEvent = ({ event = 'payout.processed', payoutId, reference, amount, reason = null }) => {
+  const body = JSON.stringify({
+    id: randomId('evt'),
+    event,
+    payout_id: payoutId,
+    reference,
+    utr: event === 'payout.processed' ? String(Date.now()).slice(-12).padStart(12, '4') : undefined,
+    amount,
+    reason
+  });
+
+  return {
+    body,
+    headers: { 'X-Mock-Signature': hmac(SECRET, body) }
+  };
+};
@@ -0,0 +1,97 @@
+import dotenv from 'dotenv';
+import { hmac, signaturesMatch, toPaise, gatewayError, isSecretSet } from '../gateways/signing.js';
+
+dotenv.config();
+
+// RazorpayX Payouts with an inline fund account:
+// https://razorpay.com/docs/api/x/payout-composite/
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+const KEY_ID = process.env.RAZORPAYX_KEY_ID || process.env.RAZORPAY_KEY_ID || '';
+const KEY_SECRET = process.env.RAZORPAYX_KEY_SECRET || process.env.RAZORPAY_KEY_SECRET || '';
+const ACCOUNT_NUMBER = process.env.RAZORPAYX_ACCOUNT_NUMBER || '';
+const WEBHOOK_SECRET = process.env.RAZORPAYX_WEBHOOK_SECRET || '';
+
+// RazorpayX payout events mapped to our normalized ones
+const EVENT_TYPES = {
+  'payout.queued': 'payout.processing',
+  'payout.pending': 'payout.processing',
+  'payout.initiated': 'payout.processing',
+  'payout.updated': 'payout.processing',
+  'payout.processed': 'payout.processed',
+  'payout.failed': 'payout.failed',
+  'payout.rejected': 'payout.failed',
+  'payout.reversed': 'payout.reversed'
+};
+
+export const name = 'razorpayx';
+
+export const isConfigured = () => Boolean(KEY_ID) && Boolean(ACCOUNT_NUMBER)
+  && isSecretSet(KEY_SECRET) && isSecretSet(WEBHOOK_SECRET);
+
+export const createPayout = async ({ amount, reference, mode = 'IMPS', beneficiary, narration }) => {
+  const response = await fetch(`${API_URL}/payouts`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Basic ${Buffer.from(`${KEY_ID}:${KEY_SECRET}`).toString('base64')}`,
+      // Retrying the same withdrawal never creates a second payout
+      'X-Payout-Idempotency': reference
+    },
+    body: JSON.stringify({
+      account_number: ACCOUNT_NUMBER,
+      amount: toPaise(amount),
+      currency: 'INR',
+      mode,
+      purpose: 'payout',
+      queue_if_low_balance: true,
+      reference_id: reference,
+      narration: narration?.slice(0, 30),
+      fund_account: {
+        ...(beneficiary.type === 'upi'
+          ? { account_type: 'vpa', vpa: { address: beneficiary.vpa } }
+          : {
+            account_type: 'bank_account',
+            bank_account: {
+              name: beneficiary.name,
+              ifsc: beneficiary.ifsc,
+              account_number: beneficiary.accountNumber
+            }
+          }),
+        contact: {
+          name: beneficiary.name,
+          type: 'customer',
+          reference_id: reference
+        }
+      }
+    })
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw gatewayError(data.error?.description || 'RazorpayX payout request failed');
+  }
+
+  return { payoutId: data.id, status: data.status };
+};
+
+export const verifyWebhook = ({ rawBody, headers }) => {
+  const signature = headers['x-razorpay-signature'];
+  return isConfigured() && Boolean(rawBody) && signaturesMatch(hmac(WEBHOOK_SECRET, rawBody.toString()), signature);
+};
+
+export const parseEvent = ({ body, headers }) => {
+  const payout = body.payload?.payout?.entity || {};
+
+  return {
+    id: headers['x-razorpay-event-id'] || null,
+    type: EVENT_TYPES[body.event] || 'unknown',
+    rawType: body.event,
+    payoutId: payout.id || null,
+    reference: payout.reference_id || null,
+    utr: payout.utr || null,
+    amount: payout.amount !== undefined ? payout.amount / 100 : null,
+    reason: payout.status_details?.description || payout.failure_reason || null
+  };
+};
@@ -0,0 +1,176 @@
+import cron from 'node-cron';
+import Job from '../models/Job.js';
+import JobRun from '../models/JobRun.js';
+import { INSTANCE_ID, acquireLock, releaseLock, holdLock } from './lockService.js';
+import { getJobHandler, listJobHandlers } from './jobs/index.js';
+
+// How often every instance reloads the job settings, so changes made through
+// another instance are picked up
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Cron tasks of this instance by job name
+const tasks = new Map();
+
+const jobError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const isValidSchedule = (expression) => cron.validate(expression);
+
+// Create the settings of newly registered jobs from their defaults
+export const syncJobs = async () => {
+  await Promise.all(listJobHandlers().map(handler => Job.updateOne(
+    { name: handler.name },
+    {
+      $setOnInsert: {
+        name: handler.name,
+        schedule: handler.schedule,
+        timezone: handler.timezone,
+        retry: handler.retry
+      },
+      // The description follows the code
+      $set: { description: handler.description }
+    },
+    { upsert: true }
+  )));
+};
+
+const finishRun = async (job, run, fields) => {
+  Object.assign(run, fields, { nextRetryAt: null, finishedAt: new Date() });
+  await run.save();
+
+  await Job.updateOne({ name: job.name }, {
+    lastRunAt: run.startedAt,
+    lastStatus: run.status,
+    lastError: run.error
+  });
+};
+
+// Attempt a run until it succeeds or the job's retries are used up. Stops
+// without retrying once the job lock is lost.
+const attemptRun = async (job, handler, run, signal) => {
+  const { maxAttempts, backoffSeconds } = job.retry;
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const result = await handler.run({ trigger: run.trigger, signal });
+      await finishRun(job, run, { status: 'succeeded', attempts: attempt, result: result ?? null, error: null });
+      return run;
+    } catch (error) {
+      console.error(`Job ${job.name} attempt ${attempt} of ${maxAttempts} failed:`, error.message);
+      run.failures.push({ attempt, error: error.message, failedAt: new Date() });
+
+      if (attempt >= maxAttempts || signal.aborted) {
+        await finishRun(job, run, { status: 'failed', attempts: attempt, error: error.message });
+        return run;
+      }
+
+      const delay = backoffSeconds * 1000 * 2 ** (attempt - 1);
+      run.attempts = attempt;
+      run.nextRetryAt = new Date(Date.now() + delay);
+      await run.save();
+      await wait(delay);
+
+      if (signal.aborted) {
+        await finishRun(job, run, { status: 'failed', attempts: attempt, error: signal.reason.message });
+        return run;
+      }
+    }
+  }
+};
+
+// Start a run of a job under the job's lock. Returns { run, finished }, where
+// `finished` settles when the run ends, or null when another run holds the
+// lock.
+export const startJob = async (name, { trigger = 'schedule', triggeredBy = null } = {}) => {
+  const handler = getJobHandler(name);
+  const job = await Job.findOne({ name });
+  if (!handler || !job) {
+    throw jobError('Job not found', 404);
+  }
+
+  const lease = await acquireLock(name);
+  if (!lease) {
+    return null;
+  }
+
+  let run;
+  try {
+    // With the lock held no other run is going on; runs still marked running
+    // were cut off by an instance that died
+    await JobRun.updateMany(
+      { job: name, status: 'running' },
+      { status: 'failed', error: 'Interrupted', nextRetryAt: null, finishedAt: new Date() }
+    );
+
+    run = await JobRun.create({ job: name, trigger, triggeredBy, instance: INSTANCE_ID });
+  } catch (error) {
+    await releaseLock(lease);
+    throw error;
+  }
+
+  return { run, finished: holdLock(lease, (signal) => attemptRun(job, handler, run, signal)) };
+};
+
+// Run a job and wait for it to end. Returns the run, or null when skipped
+// because another run holds the lock.
+export const runJob = async (name, options = {}) => {
+  const started = await startJob(name, options);
+  return started && started.finished;
+};
+
+const runInBackground = (name, trigger) => {
+  runJob(name, { trigger }).catch(error => {
+    console.error(`Job ${name} could not be run:`, error.message);
+  });
+};
+
+// (Re)schedule a job on this instance after its settings changed
+const scheduleJob = (job) => {
+  const current = tasks.get(job.name);
+  if (current && current.schedule === job.schedule && current.timezone === job.timezone && job.enabled) {
+    return;
+  }
+
+  current?.task.stop();
+  tasks.delete(job.name);
+
+  if (!job.enabled || !getJobHandler(job.name)) {
+    return;
+  }
+
+  try {
+    const task = cron.schedule(job.schedule, () => runInBackground(job.name, 'schedule'), {
+      timezone: job.timezone
+    });
+    tasks.set(job.name, { task, schedule: job.schedule, timezone: job.timezone });
+  } catch (error) {
+    console.error(`Job ${job.name} could not be scheduled with "${job.schedule}" (${job.timezone}):`, error.message);
+  }
+};
+
+// Bring this instance's cron tasks in line with the job settings
+export const refreshSchedules = async () => {
+  const jobs = await Job.find();
+  jobs.forEach(scheduleJob);
+};
+
+// Register the jobs, schedule them and run the startup jobs. Every instance
+// schedules every job; the job locks let only one of them run it each time.
+export const startScheduler = async () => {
+  await syncJobs();
+  await refreshSchedules();
+
+  setInterval(() => {
+    refreshSchedules().catch(error => console.error('Refreshing job schedules failed:', error.message));
+  }, REFRESH_INTERVAL_MS);
+
+  const jobs = await Job.find({ enabled: true });
+  jobs
+    .filter(job => getJobHandler(job.name)?.runOnStartup)
+    .forEach(job => runInBackground(job.name, 'startup'));
+};
@@ -0,0 +1,245 @@
+import StatementImport from '../models/StatementImport.js';
+import Transaction from '../models/Transaction.js';
+import { extractUtr } from '../utils/helpers.js';
+import { parseCsv } from '../utils/csv.js';
+import { approveDeposit } from './depositService.js';
+
+// Column names used by common Indian bank exports. Names are compared with
+// everything but letters and digits stripped, so "Deposit Amt." == "depositamt".
+const FORMATS = {
+  sbi: {
+    date: ['Txn Date'],
+    narration: ['Description'],
+    reference: ['Ref No./Cheque No.'],
+    credit: ['Credit']
+  },
+  hdfc: {
+    date: ['Date'],
+    narration: ['Narration'],
+    reference: ['Chq./Ref.No.'],
+    credit: ['Deposit Amt.']
+  },
+  icici: {
+    date: ['Transaction Date', 'Value Date'],
+    narration: ['Transaction Remarks'],
+    reference: ['Cheque Number'],
+    credit: ['Deposit Amount (INR )', 'Deposit Amount']
+  },
+  axis: {
+    date: ['Tran Date'],
+    narration: ['PARTICULARS'],
+    reference: ['CHQNO'],
+    credit: ['CR']
+  },
+  kotak: {
+    date: ['Transaction Date'],
+    narration: ['Description'],
+    reference: ['Chq / Ref No.'],
+    amount: ['Amount'],
+    direction: ['Dr / Cr']
+  },
+  // Plain CSV: date, narration, utr/reference and a credit (or amount + type) column
+  csv: {
+    date: ['Date', 'Txn Date', 'Transaction Date', 'Value Date'],
+    narration: ['Narration', 'Description', 'Particulars', 'Remarks'],
+    reference: ['UTR', 'UTR Number', 'Reference', 'Ref No', 'Reference Number'],
+    credit: ['Credit', 'Credit Amount', 'Deposit', 'CR'],
+    amount: ['Amount'],
+    direction: ['Type', 'Dr/Cr']
+  }
+};
+
+export const STATEMENT_FORMATS = Object.keys(FORMATS);
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const statementError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return 0;
+  const amount = parseFloat(String(value).replace(/[,₹\s]|INR|CR|DR/gi, ''));
+  return isNaN(amount) ? 0 : Math.round(amount * 100) / 100;
+};
+
+// Parses dd/mm/yyyy, dd-mm-yy, dd-MMM-yyyy, dd MMM yyyy and yyyy-mm-dd
+const parseDate = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  }
+
+  match = text.match(/^(\d{1,2})[\/\-\s]([a-z]{3}|\d{1,2})[\/\-\s](\d{2,4})/);
+  if (!match) return null;
+
+  const month = isNaN(match[2]) ? MONTHS.indexOf(match[2]) : +match[2] - 1;
+  let year = +match[3];
+  if (year < 100) year += 2000;
+  if (month < 0 || month > 11) return null;
+
+  return new Date(Date.UTC(year, month, +match[1]));
+};
+
+// Map each field of a format to a column index, or null if the header row does not fit
+const mapColumns = (header, format) => {
+  const columns = header.map(normalizeHeader);
+  const find = (names = []) => {
+    const index = columns.findIndex(column => names.map(normalizeHeader).includes(column));
+    return index === -1 ? null : index;
+  };
+
+  const mapping = {
+    date: find(format.date),
+    narration: find(format.narration),
+    reference: find(format.reference),
+    credit: find(format.credit),
+    amount: find(format.amount),
+    direction: find(format.direction)
+  };
+
+  const hasCredit = mapping.credit !== null || (mapping.amount !== null && mapping.direction !== null);
+  return mapping.date !== null && mapping.narration !== null && hasCredit ? mapping : null;
+};
+
+// Bank exports start with account details; find the header row and the format it belongs to
+const locateHeader = (rows, formatName) => {
+  const candidates = formatName ? [formatName] : STATEMENT_FORMATS;
+
+  for (let index = 0; index < Math.min(rows.length, 40); index++) {
+    for (const name of candidates) {
+      const mapping = mapColumns(rows[index], FORMATS[name]);
+      if (mapping) {
+        return { format: name, index, mapping };
+      }
+    }
+  }
+  return null;
+};
+
+// Parse a statement export into credit lines
+export const parseStatement = (content, formatName = null) => {
+  if (formatName && !FORMATS[formatName]) {
+    throw statementError(`Unknown statement format: ${formatName}`);
+  }
+
+  const rows = parseCsv(content);
+  const header = locateHeader(rows, formatName);
+  if (!header) {
+    throw statementError('Could not find the transaction table in the statement');
+  }
+
+  const { mapping } = header;
+  const credits = [];
+  let totalRows = 0;
+
+  rows.slice(header.index + 1).forEach((row, offset) => {
+    const date = parseDate(row[mapping.date]);
+    // Footers, opening balance and blank lines have no transaction date
+    if (!date) return;
+    totalRows += 1;
+
+    let amount = 0;
+    if (mapping.credit !== null) {
+      amount = parseAmount(row[mapping.credit]);
+    } else if (/^c/i.test(row[mapping.direction] || '')) {
+      amount = parseAmount(row[mapping.amount]);
+    }
+    if (amount <= 0) return;
+
+    const narration = row[mapping.narration] || null;
+    const reference = mapping.reference !== null ? row[mapping.reference] || null : null;
+
+    credits.push({
+      line: header.index + offset + 2,
+      date,
+      narration,
+      reference,
+      utr: extractUtr(reference) || extractUtr(narration),
+      amount
+    });
+  });
+
+  return { format: header.format, totalRows, credits };
+};
+
+// Decide what a credit line corresponds to, approving exact matches
+const matchCredit = async (credit, seenUtrs, importNote) => {
+  if (!credit.utr) {
+    return { status: 'unmatched', note: 'No UTR found in this line' };
+  }
+
+  if (seenUtrs.has(credit.utr)) {
+    return { status: 'duplicate', note: 'UTR appears more than once in this statement' };
+  }
+  seenUtrs.add(credit.utr);
+
+  const candidates = await Transaction.find({ type: 'deposit', utr: credit.utr });
+  const pending = candidates.filter(transaction => transaction.status === 'pending');
+
+  if (pending.length === 0) {
+    const settled = candidates.find(transaction => ['success', 'approved'].includes(transaction.status));
+    return settled
+      ? { status: 'duplicate', transaction: settled._id, note: `Already credited to ${settled.transactionId}` }
+      : { status: 'unmatched', note: 'No pending deposit with this UTR' };
+  }
+
+  if (pending.length > 1) {
+    return { status: 'ambiguous', note: `${pending.length} pending deposits share this UTR` };
+  }
+
+  const [transaction] = pending;
+  if (transaction.amount !== credit.amount) {
+    return {
+      status: 'ambiguous',
+      transaction: transaction._id,
+      note: `Amount mismatch: statement ₹${credit.amount}, deposit ₹${transaction.amount}`
+    };
+  }
+
+  const approved = await approveDeposit({ transaction, notes: importNote });
+  return approved
+    ? { status: 'matched', transaction: transaction._id, note: `Approved ${transaction.transactionId}` }
+    : { status: 'duplicate', transaction: transaction._id, note: 'Deposit was processed meanwhile' };
+};
+
+// Import a statement: match every credit to pending deposits by UTR and amount
+export const importStatement = async ({ content, format = null, fileName = null, uploadedBy }) => {
+  const parsed = parseStatement(content, format);
+
+  const statementImport = new StatementImport({
+    fileName,
+    format: parsed.format,
+    uploadedBy
+  });
+  const importNote = `Auto-approved from bank statement import ${statementImport._id}`;
+
+  const summary = {
+    totalRows: parsed.totalRows,
+    creditRows: parsed.credits.length,
+    matched: 0,
+    ambiguous: 0,
+    unmatched: 0,
+    duplicate: 0,
+    approvedAmount: 0
+  };
+
+  const seenUtrs = new Set();
+  for (const credit of parsed.credits) {
+    const result = await matchCredit(credit, seenUtrs, importNote);
+    summary[result.status] += 1;
+    if (result.status === 'matched') {
+      summary.approvedAmount = Math.round((summary.approvedAmount + credit.amount) * 100) / 100;
+    }
+    statementImport.rows.push({ ...credit, ...result });
+  }
+
+  statementImport.summary = summary;
+  await statementImport.save();
+  return statementImport;
+};
@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { getGateway } from './gateways/index.js';
+import { getPayoutProvider } from './payouts/index.js';
+import { applyPayoutEvent } from './withdrawalService.js';
+import {
+  findSessionByOrderId,
+  findDepositForEvent,
+  confirmDeposit,
+  failDeposit,
+  refundDeposit,
+  openDispute,
+  closeDispute
+} from './depositService.js';
+
+// Headers never worth keeping with a stored event
+const DROPPED_HEADERS = ['authorization', 'cookie'];
+
+const pickHeaders = (headers = {}) => Object.fromEntries(
+  Object.entries(headers).filter(([header]) => !DROPPED_HEADERS.includes(header.toLowerCase()))
+);
+
+// Retried deliveries share the gateway event id; without one, fall back to the
+// event type plus the most specific id it carries
+const buildDedupeKey = (event, rawBody) => {
+  if (event.id) {
+    return event.id;
+  }
+
+  const subject = event.refundId || event.disputeId || event.paymentId || event.orderId || event.payoutId;
+  if (subject) {
+    return `${event.type}:${subject}`;
+  }
+
+  return `body:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+};
+
+// Payment gateways and payout providers share the webhook adapter interface
+const getAdapter = (source, name) => (source === 'payout' ? getPayoutProvider(name) : getGateway(name));
+
+const parseStoredEvent = (webhookEvent) => {
+  const gateway = getAdapter(webhookEvent.source, webhookEvent.gateway);
+  return gateway.parseEvent({
+    body: JSON.parse(webhookEvent.rawBody),
+    headers: webhookEvent.headers || {}
+  });
+};
+
+const requireDeposit = async (event, gatewayName) => {
+  const transaction = await findDepositForEvent(event, gatewayName);
+  if (!transaction) {
+    throw new Error(`No deposit matches payment ${event.paymentId || event.orderId}`);
+  }
+  return transaction;
+};
+
+const closeDisputeHandler = (won) => async (event, gatewayName) => {
+  const transaction = await requireDeposit(event, gatewayName);
+  const updated = await closeDispute({ transaction, won });
+  return updated ? 'processed' : 'ignored';
+};
+
+// Events about payments this app did not create (another product on the same
+// gateway account) are acknowledged and kept as ignored, so the gateway
+// does not retry them forever
+const ignore = (note) => ({ status: 'ignored', note });
+
+const payoutHandler = async (event, providerName) => {
+  const updated = await applyPayoutEvent(event, providerName);
+  return updated ? 'processed' : 'ignored';
+};
+
+// Handlers for normalized event types. Each returns 'processed', 'ignored' or
+// an ignore() outcome with the reason, and throws when the event could not
+// be applied.
+const handlers = {
+  'payment.captured': async (event, gatewayName) => {
+    // Payments are reconciled strictly by the order we created for the deposit
+    const paymentSession = await findSessionByOrderId(event.orderId, gatewayName);
+    if (!paymentSession) {
+      return ignore(`No deposit session matches order ${event.orderId}`);
+    }
+
+    const confirmed = await confirmDeposit({ paymentSession, paymentId: event.paymentId });
+    return confirmed ? 'processed' : ignore('Deposit already paid or rejected by an admin');
+  },
+
+  'payment.failed': async (event, gatewayName) => {
+    const paymentSession = await findSessionByOrderId(event.orderId, gatewayName);
+    if (!paymentSession) {
+      return ignore(`No deposit session matches order ${event.orderId}`);
+    }
+
+    const updated = await failDeposit({ paymentSession, paymentId: event.paymentId, reason: event.reason });
+    return updated ? 'processed' : 'ignored';
+  },
+
+  'refund.processed': async (event, gatewayName) => {
+    const transaction = await requireDeposit(event, gatewayName);
+    const updated = await refundDeposit({
+      transaction,
+      refundId: event.refundId || event.id,
+      amount: event.amount
+    });
+    return updated ? 'processed' : 'ignored';
+  },
+
+  'dispute.created': async (event, gatewayName) => {
+    const transaction = await requireDeposit(event, gatewayName);
+    const updated = await openDispute({
+      transaction,
+      disputeId: event.disputeId,
+      amount: event.amount,
+      reason: event.reason
+    });
+    return updated ? 'processed' : 'ignored';
+  },
+
+  'dispute.won': closeDisputeHandler(true),
+  'dispute.lost': closeDisputeHandler(false),
+
+  // Payout provider events move a withdrawal to success, failed or reversed
+  'payout.processing': async () => 'ignored',
+  'payout.processed': payoutHandler,
+  'payout.failed': payoutHandler,
+  'payout.reversed': payoutHandler
+};
+
+// Store an inbound webhook. A redelivery of an event we already stored is
+// counted on the original instead of creating a new record. Returns null
+// without storing anything when the signature is missing or invalid, so
+// unsigned requests cannot fill the collection.
+export const recordEvent = async ({ source = 'payment', gatewayName, rawBody, body, headers }) => {
+  const gateway = getAdapter(source, gatewayName);
+  const raw = rawBody ? rawBody.toString() : JSON.stringify(body || {});
+  const signatureValid = gateway.verifyWebhook({ rawBody, body, headers });
+
+  if (!signatureValid) {
+    return null;
+  }
+
+  const base = {
+    source,
+    gateway: gateway.name,
+    rawBody: raw,
+    headers: pickHeaders(headers),
+    signatureValid
+  };
+
+  const event = gateway.parseEvent({ body, headers });
+  const dedupeKey = buildDedupeKey(event, raw);
+
+  try {
+    const webhookEvent = await WebhookEvent.create({
+      ...base,
+      dedupeKey,
+      eventId: event.id,
+      eventType: event.type,
+      rawType: event.rawType,
+      orderId: event.orderId,
+      paymentId: event.paymentId,
+      payoutId: event.payoutId
+    });
+    return { webhookEvent, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const webhookEvent = await WebhookEvent.findOneAndUpdate(
+      { source, gateway: gateway.name, dedupeKey },
+      { $inc: { duplicates: 1 } },
+      { new: true }
+    );
+    return { webhookEvent, duplicate: true };
+  }
+};
+
+// Apply a stored event and record the outcome on it
+export const processEvent = async (webhookEvent) => {
+  if (!webhookEvent.signatureValid) {
+    throw new Error('Events with an invalid signature cannot be processed');
+  }
+
+  webhookEvent.attempts += 1;
+  webhookEvent.lastAttemptAt = new Date();
+
+  try {
+    const event = parseStoredEvent(webhookEvent);
+    const handler = handlers[event.type];
+
+    const outcome = handler ? await handler(event, webhookEvent.gateway) : 'ignored';
+    const { status, note = null } = typeof outcome === 'string' ? { status: outcome } : outcome;
+
+    webhookEvent.status = status;
+    webhookEvent.note = note;
+    webhookEvent.error = null;
+    webhookEvent.processedAt = new Date();
+  } catch (error) {
+    console.error(`Webhook event ${webhookEvent._id} failed:`, error.message);
+    webhookEvent.status = 'failed';
+    webhookEvent.error = error.message;
+  }
+
+  await webhookEvent.save();
+  return webhookEvent;
+};
+
+// Whether a stored event still needs to be (re)applied
+export const needsProcessing = (webhookEvent) => {
+  return webhookEvent.signatureValid && ['received', 'failed'].includes(webhookEvent.status);
+};
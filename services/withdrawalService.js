@@ -0,0 +1,452 @@
+import dotenv from 'dotenv';
+import Transaction from '../models/Transaction.js';
+import User from '../models/User.js';
+import WithdrawalPolicy from '../models/WithdrawalPolicy.js';
+import WithdrawalCounter from '../models/WithdrawalCounter.js';
+import { generateTransactionId, canMakeWithdrawal, getZonedTime } from '../utils/helpers.js';
+import { ACCOUNTS, postEntry } from './ledgerService.js';
+import { getPayoutProvider } from './payouts/index.js';
+import { snapshotPayoutMethod } from './payoutMethodService.js';
+
+dotenv.config();
+
+// Withdrawals reserve their amount on the user's held balance when requested.
+// Approval pays the hold out, rejection puts it back into the wallet.
+
+// Amount paid out for a withdrawal; older withdrawals carry no fee
+export const payoutAmount = (transaction) => transaction.netAmount ?? transaction.amount;
+
+// Check a withdrawal request against the withdrawal policy and the user's
+// requests so far today
+export const checkWithdrawal = async ({ user, amount, now = new Date() }) => {
+  const policy = await WithdrawalPolicy.getPolicy();
+  const { startOfDay } = getZonedTime(now, policy.timezone);
+
+  const [today] = await Transaction.aggregate([
+    {
+      $match: {
+        userId: user._id,
+        type: 'withdrawal',
+        status: { $nin: ['rejected', 'failed'] },
+        createdAt: { $gte: startOfDay }
+      }
+    },
+    { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+  ]);
+
+  const last = await Transaction.findOne({ userId: user._id, type: 'withdrawal' })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+
+  return canMakeWithdrawal(user, amount, policy, {
+    todayCount: today?.count || 0,
+    todayAmount: today?.amount || 0,
+    lastRequestedAt: last?.createdAt || null
+  }, now);
+};
+
+const withdrawalError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.violation = { code, message };
+  return error;
+};
+
+// Conditions a user's withdrawal counter has to meet for one more request of
+// `amount` at `now`: a counter of an earlier day always does, one of today
+// only below the daily caps, and either only once the cooldown has passed
+export const reservationConditions = ({ amount, policy, now }) => {
+  const { date: day } = getZonedTime(now, policy.timezone);
+
+  const sameDayLimits = { day };
+  if (policy.dailyCountLimit) {
+    sameDayLimits.count = { $lt: policy.dailyCountLimit };
+  }
+  if (policy.dailyAmountLimit) {
+    sameDayLimits.amount = { $lte: policy.dailyAmountLimit - amount };
+  }
+
+  const conditions = [{ $or: [{ day: { $ne: day } }, sameDayLimits] }];
+  if (policy.cooldownMinutes) {
+    const cooldownStart = new Date(now.getTime() - policy.cooldownMinutes * 60 * 1000);
+    conditions.push({ $or: [{ lastRequestedAt: null }, { lastRequestedAt: { $lte: cooldownStart } }] });
+  }
+
+  return conditions;
+};
+
+// Count a request on the user's withdrawal counter inside the withdrawal's
+// database transaction. The update only matches while the daily caps and the
+// cooldown still allow the request, so requests racing past checkWithdrawal
+// cannot together exceed them.
+const reserveWithdrawal = async ({ userId, amount, policy, now, session }) => {
+  const { date: day } = getZonedTime(now, policy.timezone);
+  const conditions = reservationConditions({ amount, policy, now });
+  const isToday = { $eq: ['$day', day] };
+
+  try {
+    await WithdrawalCounter.updateOne(
+      { userId, $and: conditions },
+      [{
+        $set: {
+          count: { $cond: [isToday, { $add: ['$count', 1] }, 1] },
+          amount: { $cond: [isToday, { $add: ['$amount', amount] }, amount] },
+          day,
+          lastRequestedAt: now
+        }
+      }],
+      { upsert: true, session }
+    );
+  } catch (error) {
+    // The counter exists but did not match: a limit has been reached
+    if (error.code === 11000) {
+      throw withdrawalError('Your daily withdrawal limits or cooldown no longer allow this request', 'WITHDRAWAL_LIMIT');
+    }
+    // Another request of the user is updating the counter right now
+    if (error.hasErrorLabel?.('TransientTransactionError')) {
+      throw withdrawalError('Another withdrawal request is being processed, please try again', 'CONCURRENT_REQUEST', 409);
+    }
+    throw error;
+  }
+};
+
+// Take a rejected or failed withdrawal off the user's counts for the day it
+// was requested on, like checkWithdrawal leaves it out
+const unreserveWithdrawal = async ({ transaction, session }) => {
+  const policy = await WithdrawalPolicy.getPolicy();
+  const { date: day } = getZonedTime(transaction.createdAt, policy.timezone);
+
+  await WithdrawalCounter.updateOne(
+    { userId: transaction.userId._id || transaction.userId, day },
+    { $inc: { count: -1, amount: -transaction.amount } },
+    { session }
+  );
+};
+
+// Where a withdrawal is paid: the payout method it was requested with, or for
+// withdrawals older than payout methods the user's verified bank details.
+// Returns { destination } or the { reason } it cannot be paid.
+export const payoutDestination = (transaction, user) => {
+  if (transaction.payoutMethod?.type) {
+    return { destination: transaction.payoutMethod };
+  }
+
+  const bank = user?.bankDetails || {};
+  if (!bank.accountHolderName || !bank.accountNumber || !bank.ifscCode) {
+    return { reason: 'User has no bank details' };
+  }
+  if (bank.verificationStatus !== 'verified') {
+    return { reason: 'Bank account not verified' };
+  }
+
+  return {
+    destination: {
+      type: 'bank',
+      accountHolderName: bank.accountHolderName,
+      bankName: bank.bankName,
+      accountNumber: bank.accountNumber,
+      ifscCode: bank.ifscCode
+    }
+  };
+};
+
+// Create a withdrawal request to one of the user's payout methods and put its
+// amount on hold. The fee is taken from the amount when it is paid out.
+// Throws an error carrying the policy `violation` when a concurrent request
+// used up the daily caps or started the cooldown.
+export const createWithdrawal = async ({ user, amount, fee = 0, payoutMethod, now = new Date() }) => {
+  const policy = await WithdrawalPolicy.getPolicy();
+  const transaction = new Transaction({
+    userId: user._id,
+    transactionId: generateTransactionId('withdrawal'),
+    type: 'withdrawal',
+    amount,
+    fee,
+    netAmount: Math.round((amount - fee) * 100) / 100,
+    status: 'pending',
+    holdStatus: 'held',
+    payoutMethod: payoutMethod && snapshotPayoutMethod(payoutMethod)
+  });
+
+  const session = await Transaction.startSession();
+  session.startTransaction();
+
+  try {
+    await reserveWithdrawal({ userId: user._id, amount, policy, now, session });
+    await transaction.save({ session });
+
+    await postEntry({
+      userId: user._id,
+      reason: 'withdrawal_hold',
+      lines: [
+        { account: ACCOUNTS.WALLET, debit: transaction.amount },
+        { account: ACCOUNTS.HELD, credit: transaction.amount }
+      ],
+      reference: { kind: 'Transaction', id: transaction.transactionId },
+      description: 'Withdrawal requested',
+      session
+    });
+
+    await session.commitTransaction();
+    return transaction;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Withdrawals that can still be paid out or released
+const OPEN_STATUSES = ['pending', 'processing'];
+
+// Move a withdrawal out of one of the `from` statuses inside the session,
+// before its hold is touched. Of two admins or payout events processing the
+// same withdrawal only one gets it; the other gets null.
+const claimWithdrawal = ({ transaction, from, update, session }) => Transaction.findOneAndUpdate(
+  { _id: transaction._id, type: 'withdrawal', status: { $in: from } },
+  update,
+  { new: true, session }
+);
+
+// Pay out an approved withdrawal from its hold. `fields` are set on the
+// withdrawal along with its status. Returns the paid withdrawal, or null when
+// it was no longer in one of the `from` statuses.
+export const settleWithdrawal = async ({ transaction, notes = null, from = OPEN_STATUSES, fields = {}, session }) => {
+  const claimed = await claimWithdrawal({
+    transaction,
+    from,
+    update: { ...fields, status: 'success', adminNotes: notes },
+    session
+  });
+  if (!claimed) {
+    return null;
+  }
+
+  // Withdrawals requested before holds existed were debited up front
+  if (claimed.holdStatus === 'held') {
+    const lines = [
+      { account: ACCOUNTS.HELD, debit: claimed.amount },
+      { account: ACCOUNTS.WITHDRAWALS, credit: payoutAmount(claimed) }
+    ];
+    if (claimed.fee > 0) {
+      lines.push({ account: ACCOUNTS.FEES, credit: claimed.fee });
+    }
+
+    await postEntry({
+      userId: claimed.userId,
+      reason: 'withdrawal',
+      lines,
+      reference: { kind: 'Transaction', id: claimed.transactionId },
+      description: notes || 'Withdrawal paid out',
+      session
+    });
+    claimed.holdStatus = 'settled';
+    await claimed.save({ session });
+  }
+
+  return claimed;
+};
+
+// Return the amount of a rejected, failed or reversed withdrawal to the wallet.
+// The user sees the return as a refund transaction carrying the notes.
+// Returns the withdrawal and the refund, or null when the withdrawal was no
+// longer in one of the `from` statuses.
+export const releaseWithdrawal = async ({
+  transaction,
+  notes = null,
+  status = 'rejected',
+  from = OPEN_STATUSES,
+  fields = {},
+  session
+}) => {
+  const claimed = await claimWithdrawal({
+    transaction,
+    from,
+    update: { ...fields, status, adminNotes: notes },
+    session
+  });
+  if (!claimed) {
+    return null;
+  }
+
+  const userId = claimed.userId;
+
+  const refund = new Transaction({
+    userId,
+    transactionId: generateTransactionId('refund'),
+    type: 'refund',
+    amount: claimed.amount,
+    status: 'success',
+    paymentMethod: 'wallet',
+    adminNotes: notes,
+    description: `Refund of ${status} withdrawal ${claimed.transactionId}`,
+    relatedTransaction: claimed._id
+  });
+  await refund.save({ session });
+  // A reversed payout was paid and still counts towards its day's limits
+  if (status !== 'reversed') {
+    await unreserveWithdrawal({ transaction: claimed, session });
+  }
+
+  const entry = {
+    userId,
+    reason: 'withdrawal_reversal',
+    reference: { kind: 'Transaction', id: refund.transactionId },
+    description: notes || refund.description,
+    session
+  };
+
+  if (claimed.holdStatus === 'held') {
+    await postEntry({
+      ...entry,
+      lines: [
+        { account: ACCOUNTS.HELD, debit: claimed.amount },
+        { account: ACCOUNTS.WALLET, credit: claimed.amount }
+      ]
+    });
+    claimed.holdStatus = 'released';
+  } else {
+    // Settled already: the payout and the fee are both given back
+    const lines = [
+      { account: ACCOUNTS.WITHDRAWALS, debit: payoutAmount(claimed) },
+      { account: ACCOUNTS.WALLET, credit: claimed.amount }
+    ];
+    if (claimed.fee > 0) {
+      lines.push({ account: ACCOUNTS.FEES, debit: claimed.fee });
+    }
+    await postEntry({ ...entry, lines });
+  }
+
+  await claimed.save({ session });
+  return { transaction: claimed, refund };
+};
+
+// Push an approved withdrawal to the configured payout provider. It stays
+// processing until the provider reports the outcome by webhook.
+export const sendPayout = async ({ transaction, notes = null }) => {
+  const provider = getPayoutProvider();
+  const user = await User.findById(transaction.userId._id || transaction.userId).select('bankDetails');
+  const { destination, reason } = payoutDestination(transaction, user);
+
+  if (!destination) {
+    const error = new Error(reason);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Claim the withdrawal first so it can never be pushed twice
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    { status: 'processing', payoutProvider: provider.name, adminNotes: notes },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const error = new Error('Transaction has already been processed');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  try {
+    const { payoutId } = await provider.createPayout({
+      amount: payoutAmount(claimed),
+      reference: claimed.transactionId,
+      mode: destination.type === 'upi' ? 'UPI' : process.env.PAYOUT_MODE || 'IMPS',
+      beneficiary: {
+        type: destination.type,
+        name: destination.accountHolderName,
+        accountNumber: destination.accountNumber,
+        ifsc: destination.ifscCode,
+        vpa: destination.vpa
+      },
+      narration: `Withdrawal ${claimed.transactionId}`
+    });
+
+    claimed.payoutId = payoutId;
+    await claimed.save();
+    return claimed;
+  } catch (error) {
+    // Nothing was sent; leave the withdrawal for the admin to retry
+    await Transaction.updateOne(
+      { _id: claimed._id, status: 'processing', payoutId: null },
+      { status: 'pending', payoutProvider: null }
+    );
+    throw error;
+  }
+};
+
+// Statuses a withdrawal must be in for a payout event to apply
+const PAYOUT_TRANSITIONS = {
+  'payout.processed': ['processing'],
+  'payout.failed': ['processing'],
+  // The bank can return the money after the payout completed
+  'payout.reversed': ['processing', 'success']
+};
+
+// Apply a payout status event to its withdrawal. Returns the updated
+// withdrawal, or null when the event does not change anything.
+export const applyPayoutEvent = async (event, providerName) => {
+  const match = [{ payoutId: event.payoutId }];
+  // The status webhook can arrive before the payout id has been stored
+  if (event.reference) {
+    match.push({ transactionId: event.reference });
+  }
+
+  const found = await Transaction.findOne({
+    type: 'withdrawal',
+    payoutProvider: providerName,
+    $or: match
+  });
+
+  if (!found) {
+    throw new Error(`No withdrawal matches payout ${event.payoutId || event.reference}`);
+  }
+
+  const allowed = PAYOUT_TRANSITIONS[event.type];
+  if (!allowed) {
+    return null;
+  }
+
+  const session = await Transaction.startSession();
+  session.startTransaction();
+
+  try {
+    const payoutId = found.payoutId || event.payoutId;
+    let transaction;
+
+    if (event.type === 'payout.processed') {
+      transaction = await settleWithdrawal({
+        transaction: found,
+        notes: found.adminNotes || `Paid out via ${providerName}${event.utr ? `, UTR ${event.utr}` : ''}`,
+        from: allowed,
+        fields: { payoutId, payoutReference: event.utr },
+        session
+      });
+    } else {
+      const reason = event.reason || 'no reason given';
+      const released = await releaseWithdrawal({
+        transaction: found,
+        notes: event.type === 'payout.failed' ? `Payout failed: ${reason}` : `Payout reversed: ${reason}`,
+        status: event.type === 'payout.failed' ? 'failed' : 'reversed',
+        from: allowed,
+        fields: { payoutId },
+        session
+      });
+      transaction = released?.transaction;
+    }
+
+    if (!transaction) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    await session.commitTransaction();
+    return transaction;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { namesMatch } from '../services/bankVerificationService.js';
+
+test('names match regardless of case, titles and punctuation', () => {
+  assert.equal(namesMatch('Ravi Kumar', 'MR RAVI KUMAR'), true);
+  assert.equal(namesMatch('Dr. Asha Rao', 'asha rao'), true);
+});
+
+test('a dropped middle name or an initial still matches', () => {
+  assert.equal(namesMatch('Ravi Kumar Sharma', 'RAVI SHARMA'), true);
+  assert.equal(namesMatch('R Sharma', 'RAVI SHARMA'), true);
+  assert.equal(namesMatch('R. K. Sharma', 'RAVI KUMAR SHARMA'), true);
+});
+
+test('a different person does not match', () => {
+  assert.equal(namesMatch('Ravi Kumar', 'SUNIL KUMAR'), false);
+  assert.equal(namesMatch('K Sharma', 'RAVI SHARMA'), false);
+});
+
+test('an empty name never matches', () => {
+  assert.equal(namesMatch('', 'RAVI SHARMA'), false);
+  assert.equal(namesMatch('Ravi Sharma', null), false);
+  assert.equal(namesMatch('Mr', 'MR'), false);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEvent } from '../services/gateways/cashfree.js';
+
+const refundWebhook = (status) => ({
+  type: 'REFUND_STATUS_WEBHOOK',
+  data: {
+    refund: {
+      refund_id: 'refund_1',
+      cf_payment_id: 12345,
+      order_id: 'DEP1700000000000ABCDE',
+      refund_amount: 100,
+      refund_status: status
+    }
+  }
+});
+
+test('a successful Cashfree refund is a processed refund', () => {
+  const event = parseEvent({ body: refundWebhook('SUCCESS') });
+
+  assert.equal(event.type, 'refund.processed');
+  assert.equal(event.refundId, 'refund_1');
+  assert.equal(event.amount, 100);
+});
+
+test('Cashfree refunds that did not go through are not processed refunds', () => {
+  for (const status of ['PENDING', 'CANCELLED', 'ONHOLD']) {
+    assert.notEqual(parseEvent({ body: refundWebhook(status) }).type, 'refund.processed', status);
+  }
+});
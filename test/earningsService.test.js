@@ -0,0 +1,113 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import AccrualRun from '../models/AccrualRun.js';
+import { presentOrder, accrualDayEnd, lastEndedDay, checkAccrualDay } from '../services/earningsService.js';
+
+const purchase = () => {
+  const product = new Product({
+    productName: 'Solar Plan',
+    productImage: 'solar.png',
+    price: 500,
+    perDayEarning: 25,
+    productValidity: 30
+  });
+
+  const order = new Order({
+    userId: new mongoose.Types.ObjectId(),
+    productId: product._id,
+    validity: 30,
+    terms: { productName: 'Solar Plan', price: 500, perDayEarning: 25, validity: 30 }
+  });
+
+  return { product, order };
+};
+
+test('an order shows the terms it was bought on after the product price changes', () => {
+  const { product, order } = purchase();
+
+  product.price = 900;
+  product.perDayEarning = 60;
+  order.productId = product;
+
+  const shown = presentOrder(order);
+
+  assert.equal(shown.terms.price, 500);
+  assert.equal(shown.terms.perDayEarning, 25);
+  assert.equal(shown.productId.productName, 'Solar Plan');
+  assert.equal(shown.productId.price, undefined);
+  assert.equal(shown.productId.perDayEarning, undefined);
+});
+
+test('an order placed before terms were recorded falls back to the product', () => {
+  const { product, order } = purchase();
+
+  order.terms = undefined;
+  order.productId = product;
+
+  const shown = presentOrder(order);
+
+  assert.equal(shown.terms.price, 500);
+  assert.equal(shown.terms.perDayEarning, 25);
+});
+
+test('an accrual day ends at midnight in India', () => {
+  assert.equal(accrualDayEnd('2024-01-15').toISOString(), '2024-01-15T18:30:00.000Z');
+  assert.equal(accrualDayEnd('2024-02-29').toISOString(), '2024-02-29T18:30:00.000Z');
+  assert.equal(accrualDayEnd('2024-12-31').toISOString(), '2024-12-31T18:30:00.000Z');
+});
+
+test('the last ended day follows the date in India, not UTC', () => {
+  // 23:59 and 00:00 in India
+  assert.equal(lastEndedDay(new Date('2024-01-15T18:29:00Z')), '2024-01-14');
+  assert.equal(lastEndedDay(new Date('2024-01-15T18:30:00Z')), '2024-01-15');
+  assert.equal(lastEndedDay(new Date('2024-03-01T00:00:00Z')), '2024-02-29');
+});
+
+// Noon on 2024-01-16 in India, with the first recorded run on 2024-01-01
+const now = new Date('2024-01-16T06:30:00Z');
+
+const withFirstRun = (t, day) => {
+  const findOne = mock.method(AccrualRun, 'findOne', () => ({
+    sort: () => ({ select: async () => (day ? { day } : null) })
+  }));
+  t.after(() => findOne.mock.restore());
+};
+
+const rejected = (message) => ({ statusCode: 400, message });
+
+test('a day that has ended since the first recorded run can be run by hand', async (t) => {
+  withFirstRun(t, '2024-01-01');
+
+  await checkAccrualDay('2024-01-15', now);
+  await checkAccrualDay('2024-01-01', now);
+});
+
+test('a manual run needs a calendar day', async (t) => {
+  withFirstRun(t, '2024-01-01');
+
+  for (const day of ['2024-1-5', '15-01-2024', '2024-02-30', '2024-13-01', 'yesterday', '']) {
+    await assert.rejects(checkAccrualDay(day, now), rejected(/calendar day/));
+  }
+});
+
+test('today and later days cannot be run by hand', async (t) => {
+  withFirstRun(t, '2024-01-01');
+
+  await assert.rejects(checkAccrualDay('2024-01-16', now), rejected(/the latest is 2024-01-15/));
+  await assert.rejects(checkAccrualDay('2024-02-01', now), rejected(/the latest is 2024-01-15/));
+});
+
+test('days before the first recorded run cannot be run by hand', async (t) => {
+  withFirstRun(t, '2024-01-01');
+  await assert.rejects(checkAccrualDay('2023-12-31', now), rejected(/Days before 2024-01-01/));
+});
+
+test('without any recorded run only the last ended day can be run by hand', async (t) => {
+  withFirstRun(t, null);
+
+  await checkAccrualDay('2024-01-15', now);
+  await assert.rejects(checkAccrualDay('2024-01-14', now), rejected(/Days before 2024-01-15/));
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeUtr,
+  isValidUtr,
+  extractUtr,
+  calculateWithdrawalFee,
+  canMakeWithdrawal,
+  getBankChangeLock
+} from '../utils/helpers.js';
+
+test('UTRs are compared without spaces or dashes, in upper case', () => {
+  assert.equal(normalizeUtr(' sbin 1262-83123456 '), 'SBIN126283123456');
+  assert.equal(normalizeUtr(null), '');
+});
+
+test('12 digit references and NEFT/RTGS UTRs are valid UTRs', () => {
+  assert.equal(isValidUtr('412345678901'), true);
+  assert.equal(isValidUtr('4123 4567 8901'), true);
+  assert.equal(isValidUtr('SBIN126283123456'), true);
+  assert.equal(isValidUtr('hdfcn52024011612345678'), true);
+
+  assert.equal(isValidUtr('41234567890'), false);
+  assert.equal(isValidUtr('4123456789012'), false);
+  assert.equal(isValidUtr('SBINABCDEFGHIJKL'), false);
+  assert.equal(isValidUtr('PAID'), false);
+  assert.equal(isValidUtr(''), false);
+});
+
+test('the UTR is pulled out of UPI, IMPS and NEFT narrations', () => {
+  assert.equal(extractUtr('UPI/412345678901/PAYMENT/ravi@okaxis'), '412345678901');
+  assert.equal(extractUtr('IMPS-403612345678-SUNIL'), '403612345678');
+  assert.equal(extractUtr('NEFT-HDFCN52024011612345678-ASHA'), 'HDFCN52024011612345678');
+  assert.equal(extractUtr('neft cr sbin126283123456 ravi'), 'SBIN126283123456');
+});
+
+test('narrations without a UTR give none', () => {
+  assert.equal(extractUtr('ATM WDL 1234'), null);
+  assert.equal(extractUtr('Account 50100012345678'), null);
+  assert.equal(extractUtr(''), null);
+  assert.equal(extractUtr(null), null);
+});
+
+test('withdrawal fees are flat or a bounded percentage', () => {
+  assert.equal(calculateWithdrawalFee(1000), 0);
+  assert.equal(calculateWithdrawalFee(1000, { type: 'none', value: 5 }), 0);
+  assert.equal(calculateWithdrawalFee(1000, { type: 'flat', value: 10 }), 10);
+  assert.equal(calculateWithdrawalFee(1000, { type: 'percentage', value: 2 }), 20);
+  assert.equal(calculateWithdrawalFee(100, { type: 'percentage', value: 2, min: 5, max: 100 }), 5);
+  assert.equal(calculateWithdrawalFee(10000, { type: 'percentage', value: 2, min: 5, max: 100 }), 100);
+  assert.equal(calculateWithdrawalFee(333, { type: 'percentage', value: 1.5 }), 5);
+});
+
+const withdrawingUser = {
+  balance: 5000,
+  payoutMethods: [{ type: 'upi' }],
+  bankDetails: {},
+  bankDetailsChangedAt: null
+};
+
+// Wednesday 2024-01-17, 12:00 in Asia/Kolkata
+const noon = new Date('2024-01-17T06:30:00Z');
+
+const codes = (result) => result.violations.map(violation => violation.code);
+
+test('a withdrawal within the policy is allowed, with its fee and net amount', () => {
+  const result = canMakeWithdrawal(withdrawingUser, 1000, {
+    minAmount: 100,
+    fee: { type: 'flat', value: 10 },
+    timezone: 'Asia/Kolkata'
+  }, {}, noon);
+
+  assert.equal(result.canWithdraw, true);
+  assert.equal(result.fee, 10);
+  assert.equal(result.netAmount, 990);
+});
+
+test('every broken rule of the policy is reported with its code', () => {
+  const result = canMakeWithdrawal({ ...withdrawingUser, balance: 100 }, 30000, {
+    maxAmount: 25000,
+    dailyCountLimit: 3,
+    dailyAmountLimit: 50000,
+    cooldownMinutes: 30,
+    allowedDays: [1, 2],
+    timezone: 'Asia/Kolkata'
+  }, { todayCount: 3, todayAmount: 25000, lastRequestedAt: new Date(noon.getTime() - 10 * 60 * 1000) }, noon);
+
+  assert.equal(result.canWithdraw, false);
+  assert.deepEqual(codes(result), [
+    'INSUFFICIENT_BALANCE',
+    'MAX_AMOUNT',
+    'DAILY_COUNT_LIMIT',
+    'DAILY_AMOUNT_LIMIT',
+    'COOLDOWN',
+    'DAY_NOT_ALLOWED'
+  ]);
+  assert.match(result.violations[4].message, /wait 20 minutes/);
+});
+
+test('the cooldown and the allowed hours end on time', () => {
+  const policy = { cooldownMinutes: 30, allowedHours: { startHour: 9, endHour: 12 }, timezone: 'Asia/Kolkata' };
+  const lastRequestedAt = new Date(noon.getTime() - 30 * 60 * 1000);
+
+  assert.deepEqual(codes(canMakeWithdrawal(withdrawingUser, 500, policy, { lastRequestedAt }, noon)), ['OUTSIDE_HOURS']);
+});
+
+test('a fee that eats the whole amount is refused', () => {
+  const result = canMakeWithdrawal(withdrawingUser, 10, { fee: { type: 'flat', value: 10 } }, {}, noon);
+
+  assert.deepEqual(codes(result), ['FEE_EXCEEDS_AMOUNT']);
+});
+
+const changedAt = new Date('2024-01-17T06:30:00Z');
+
+test('withdrawals are locked for the configured hours after a bank details change', () => {
+  const lockedUntil = getBankChangeLock({ bankDetailsChangedAt: changedAt }, { bankChangeLockHours: 24 }, new Date('2024-01-17T18:00:00Z'));
+
+  assert.deepEqual(lockedUntil, new Date('2024-01-18T06:30:00Z'));
+});
+
+test('the bank change lock ends once the hours have passed', () => {
+  assert.equal(getBankChangeLock({ bankDetailsChangedAt: changedAt }, { bankChangeLockHours: 24 }, new Date('2024-01-18T06:30:00Z')), null);
+});
+
+test('there is no bank change lock without a change or a configured lock', () => {
+  assert.equal(getBankChangeLock({ bankDetailsChangedAt: null }, { bankChangeLockHours: 24 }, changedAt), null);
+  assert.equal(getBankChangeLock({ bankDetailsChangedAt: changedAt }, { bankChangeLockHours: 0 }, changedAt), null);
+  assert.equal(getBankChangeLock({ bankDetailsChangedAt: changedAt }, {}, changedAt), null);
+});
+
+test('a locked user is told until when withdrawals are locked', () => {
+  const result = canMakeWithdrawal(
+    { ...withdrawingUser, bankDetailsChangedAt: changedAt },
+    500,
+    { bankChangeLockHours: 24, timezone: 'Asia/Kolkata' },
+    {},
+    noon
+  );
+
+  assert.deepEqual(codes(result), ['BANK_CHANGE_LOCK']);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { ACCOUNTS, balanceUpdate } from '../services/ledgerService.js';
+
+test('a wallet debit is guarded against a negative balance', () => {
+  const { increments, guard } = balanceUpdate([
+    { account: ACCOUNTS.WALLET, debit: 150.005 },
+    { account: ACCOUNTS.SALES, credit: 150.005 }
+  ]);
+
+  assert.deepEqual(increments, { balance: -150.01 });
+  assert.deepEqual(guard, { balance: { $gte: 150.01 } });
+});
+
+test('a debit allowed to go negative has no guard', () => {
+  const { increments, guard } = balanceUpdate([
+    { account: ACCOUNTS.WALLET, debit: 500 },
+    { account: ACCOUNTS.CHARGEBACKS, credit: 500 }
+  ], true);
+
+  assert.deepEqual(increments, { balance: -500 });
+  assert.deepEqual(guard, {});
+});
+
+test('a credit and a move into held funds only guard the account that is debited', () => {
+  const { increments, guard } = balanceUpdate([
+    { account: ACCOUNTS.WALLET, debit: 200 },
+    { account: ACCOUNTS.HELD, credit: 200 }
+  ]);
+
+  assert.deepEqual(increments, { balance: -200, heldBalance: 200 });
+  assert.deepEqual(guard, { balance: { $gte: 200 } });
+});
+
+test('an entry whose debits and credits differ is rejected', async () => {
+  const entry = new LedgerEntry({
+    entryId: 'LED1700000000000ABCDE',
+    userId: new mongoose.Types.ObjectId(),
+    reason: 'deposit',
+    lines: [
+      { account: ACCOUNTS.DEPOSITS, debit: 100 },
+      { account: ACCOUNTS.WALLET, credit: 99.99 }
+    ]
+  });
+
+  await assert.rejects(entry.validate(), /not balanced/);
+});
@@ -0,0 +1,46 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import JobLock from '../models/JobLock.js';
+import { holdLock } from '../services/lockService.js';
+
+const lease = { name: 'earningsAccrual', token: 'token', ttlMs: 3000 };
+
+// Resolves once the signal aborts, or with null when the job is not stopped in time
+const aborted = (signal, ms) => new Promise(resolve => {
+  const timer = setTimeout(() => resolve(null), ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve(signal.reason);
+  });
+});
+
+test('a job is stopped when its lease is taken over', async (t) => {
+  const updateOne = mock.method(JobLock, 'updateOne', async () => ({ matchedCount: 0 }));
+  t.after(() => updateOne.mock.restore());
+
+  const reason = await holdLock(lease, signal => aborted(signal, 3000));
+
+  assert.equal(reason?.code, 'LOCK_LOST');
+});
+
+test('a job keeps running while its lease is renewed', async (t) => {
+  const updateOne = mock.method(JobLock, 'updateOne', async () => ({ matchedCount: 1 }));
+  t.after(() => updateOne.mock.restore());
+
+  const reason = await holdLock(lease, signal => aborted(signal, 2500));
+
+  assert.equal(reason, null);
+  // Renewed twice, then released
+  assert.ok(updateOne.mock.callCount() >= 3);
+});
+
+test('a job is stopped when its lease cannot be renewed before it expires', async (t) => {
+  const updateOne = mock.method(JobLock, 'updateOne', async () => {
+    throw new Error('connection lost');
+  });
+  t.after(() => updateOne.mock.restore());
+
+  const reason = await holdLock(lease, signal => aborted(signal, 4000));
+
+  assert.equal(reason?.code, 'LOCK_LOST');
+});
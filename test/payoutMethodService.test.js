@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { findPayoutMethod, snapshotPayoutMethod } from '../services/payoutMethodService.js';
+
+const user = new User({
+  fullName: 'Ravi Kumar',
+  phoneNumber: '9876543210',
+  payoutMethods: [
+    {
+      type: 'bank',
+      label: 'Salary account',
+      accountHolderName: 'Ravi Kumar',
+      bankName: 'State Bank of India',
+      accountNumber: '1234567890',
+      ifscCode: 'SBIN0000001'
+    },
+    {
+      type: 'upi',
+      isPrimary: true,
+      accountHolderName: 'Ravi Kumar',
+      vpa: 'Ravi@OKAXIS'
+    }
+  ]
+});
+const [bank, upi] = user.payoutMethods;
+
+test('without an id the primary payout method is used', () => {
+  assert.equal(findPayoutMethod(user), upi);
+});
+
+test('a payout method is found by its id', () => {
+  assert.equal(findPayoutMethod(user, String(bank._id)), bank);
+});
+
+test('unknown or malformed ids find no payout method', () => {
+  assert.equal(findPayoutMethod(user, String(new mongoose.Types.ObjectId())), null);
+  assert.equal(findPayoutMethod(user, 'not-an-id'), null);
+  assert.equal(findPayoutMethod(new User({ fullName: 'Asha', phoneNumber: '9876500000' })), null);
+});
+
+test('the snapshot keeps where the money goes, not the verification state', () => {
+  assert.deepEqual(snapshotPayoutMethod(bank), {
+    methodId: bank._id,
+    type: 'bank',
+    label: 'Salary account',
+    accountHolderName: 'Ravi Kumar',
+    bankName: 'State Bank of India',
+    accountNumber: '1234567890',
+    ifscCode: 'SBIN0000001',
+    vpa: null
+  });
+  assert.equal(snapshotPayoutMethod(upi).vpa, 'ravi@okaxis');
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPayoutFile, parsePayoutResponse, responseOutcome, responseStatus } from '../services/payoutService.js';
+
+const batch = {
+  batchId: 'PAY1700000000000ABCDE',
+  mode: 'NEFT',
+  items: [{
+    transactionId: 'WTH1700000000000ABCDE',
+    accountHolderName: '=HYPERLINK("http://evil.example","Ravi")',
+    accountNumber: '1234567890',
+    ifscCode: 'SBIN0000001',
+    amount: 950,
+    bankName: '@State Bank'
+  }]
+};
+
+test('a failed bank transfer marks the withdrawal failed, not rejected', () => {
+  const [result] = parsePayoutResponse(
+    'Narration,Status,Reason\r\nWTH1700000000000ABCDE,Failed,Account closed\r\n'
+  );
+
+  const outcome = responseOutcome(batch, result);
+
+  assert.equal(outcome.settle, false);
+  assert.equal(outcome.status, 'failed');
+  assert.equal(outcome.notes, 'Bank transfer failed: Account closed');
+});
+
+test('a paid line settles the withdrawal with the UTR', () => {
+  const [result] = parsePayoutResponse(
+    'Narration,Status,UTR\r\nWTH1700000000000ABCDE,Success,N123456789012\r\n'
+  );
+
+  const outcome = responseOutcome(batch, result);
+
+  assert.equal(outcome.settle, true);
+  assert.match(outcome.notes, /UTR N123456789012$/);
+});
+
+test('negated bank statuses are failures, not payments', () => {
+  for (const status of ['Unpaid', 'Incomplete', 'Not Processed', 'Not Executed', 'NOT PAID', 'Unsuccessful']) {
+    assert.equal(responseStatus(status), 'failed', status);
+  }
+});
+
+test('only known bank statuses count as paid', () => {
+  for (const status of ['Success', 'PAID', 'Processed', 'Completed', 'Executed']) {
+    assert.equal(responseStatus(status), 'success', status);
+  }
+  for (const status of ['Pending', 'In Progress', 'Partially Processed', '']) {
+    assert.notEqual(responseStatus(status), 'success', status);
+  }
+});
+
+test('a line with an unknown status is neither paid nor failed', () => {
+  const [result] = parsePayoutResponse(
+    'Narration,Status\r\nWTH1700000000000ABCDE,Awaiting Bank\r\n'
+  );
+
+  assert.equal(result.status, null);
+});
+
+test('payout file keeps holder and bank names from running as formulas', () => {
+  const [, row] = buildPayoutFile(batch).split('\r\n');
+
+  assert.ok(row.includes(`"'=HYPERLINK(""http://evil.example"",""Ravi"")"`));
+  assert.ok(row.endsWith(",'@State Bank"));
+});
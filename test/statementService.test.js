@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStatement } from '../services/statementService.js';
+
+test('an HDFC export is recognised below its account details and only credits are kept', () => {
+  const content = [
+    'Account Statement,,,,,,',
+    'Account No :,50100012345678,,,,,',
+    ',,,,,,',
+    'Date,Narration,Chq./Ref.No.,Value Dt,Withdrawal Amt.,Deposit Amt.,Closing Balance',
+    '15/01/24,UPI-RAVI KUMAR-ravi@okaxis-412345678901-PAYMENT,0000412345678901,15/01/24,,"1,500.00","21,500.00"',
+    '16/01/24,NEFT CR-HDFCN52024011612345678-ASHA,HDFCN52024011612345678,16/01/24,,750.50,"22,250.50"',
+    '17/01/24,ATM WDL,000000000000,17/01/24,"2,000.00",,"20,250.50"',
+    ',,,,,,',
+    'STATEMENT SUMMARY,,,,,,'
+  ].join('\n');
+
+  const { format, totalRows, credits } = parseStatement(content);
+
+  assert.equal(format, 'hdfc');
+  assert.equal(totalRows, 3);
+  assert.deepEqual(credits.map(({ line, utr, amount }) => ({ line, utr, amount })), [
+    { line: 5, utr: '412345678901', amount: 1500 },
+    { line: 6, utr: 'HDFCN52024011612345678', amount: 750.5 }
+  ]);
+  assert.equal(credits[0].date.toISOString().slice(0, 10), '2024-01-15');
+});
+
+test('a statement with an amount and a Dr/Cr column keeps the credit lines', () => {
+  const content = [
+    'Transaction Date,Description,Chq / Ref No.,Amount,Dr / Cr,Balance',
+    '05-Feb-2024,IMPS/P2A/403612345678/SUNIL,403612345678,250.00,CR,1250.00',
+    '06-Feb-2024,POS PURCHASE,,100.00,DR,1150.00'
+  ].join('\n');
+
+  const { format, credits } = parseStatement(content, 'kotak');
+
+  assert.equal(format, 'kotak');
+  assert.equal(credits.length, 1);
+  assert.equal(credits[0].utr, '403612345678');
+  assert.equal(credits[0].amount, 250);
+});
+
+test('unknown formats and files without a transaction table are rejected', () => {
+  assert.throws(() => parseStatement('Date,Narration,Credit', 'nobank'), { statusCode: 400 });
+  assert.throws(() => parseStatement('hello,world\n1,2'), /transaction table/);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reservationConditions } from '../services/withdrawalService.js';
+
+// 2024-01-17 12:00 in Asia/Kolkata
+const now = new Date('2024-01-17T06:30:00Z');
+
+test('a reservation is limited by the daily caps only on the same day', () => {
+  const conditions = reservationConditions({
+    amount: 2000,
+    policy: { dailyCountLimit: 3, dailyAmountLimit: 50000, timezone: 'Asia/Kolkata' },
+    now
+  });
+
+  assert.deepEqual(conditions, [{
+    $or: [
+      { day: { $ne: '2024-01-17' } },
+      { day: '2024-01-17', count: { $lt: 3 }, amount: { $lte: 48000 } }
+    ]
+  }]);
+});
+
+test('the counter day follows the policy timezone', () => {
+  // Still the 16th in UTC, already the 17th in India
+  const [condition] = reservationConditions({
+    amount: 100,
+    policy: { timezone: 'Asia/Kolkata' },
+    now: new Date('2024-01-16T20:00:00Z')
+  });
+
+  assert.deepEqual(condition.$or[1], { day: '2024-01-17' });
+});
+
+test('a reservation waits for the cooldown after the last request', () => {
+  const conditions = reservationConditions({
+    amount: 100,
+    policy: { cooldownMinutes: 30, timezone: 'Asia/Kolkata' },
+    now
+  });
+
+  assert.deepEqual(conditions[1], {
+    $or: [
+      { lastRequestedAt: null },
+      { lastRequestedAt: { $lte: new Date('2024-01-17T06:00:00Z') } }
+    ]
+  });
+});
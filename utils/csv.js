@@ -0,0 +1,69 @@
+// Small CSV helpers for bank statements, payout files and bank responses
+
+// Bank exports come comma, semicolon or tab separated
+const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, 30).join('\n');
+  return ['\t', ';', ','].reduce((best, delimiter) => {
+    return sample.split(delimiter).length > sample.split(best).length ? delimiter : best;
+  }, ',');
+};
+
+// Minimal CSV reader supporting quoted fields and escaped quotes
+const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Parse CSV (or TSV) text into rows of trimmed fields
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => parseDelimited(text, delimiter);
+
+const escapeField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Spreadsheets run a field starting with = + - @ as a formula; a leading
+// quote keeps user supplied text (e.g. account holder names) as plain text
+export const neutralizeFormula = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+};
+
+// Build CSV text from rows of values
+export const toCsv = (rows) => rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
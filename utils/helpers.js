@@ -43,7 +43,8 @@ export const generateTransactionId = (type) => {
     'withdrawal': 'WTH',
     'earning': 'ERN',
     'order': 'ORD',
-    'referral': 'REF'
+    'referral': 'REF',
+    'refund': 'RFD'
   };
   
   const typePrefix = prefix[type] || 'TXN';
@@ -66,6 +67,16 @@ export const getPagination = (page = 1, limit = 20) => {
   };
 };
 
+// Values of a list filter, given once or repeated (?type=a&type=b) and each
+// optionally comma separated. Returns null when any value is not allowed.
+export const parseListFilter = (value, allowed) => {
+  const values = [].concat(value)
+    .flatMap(item => (typeof item === 'string' ? item.split(',') : [null]))
+    .map(item => item?.trim());
+
+  return values.length > 0 && values.every(item => allowed.includes(item)) ? values : null;
+};
+
 // Format currency
 export const formatCurrency = (amount) => {
   return `₹${parseFloat(amount).toFixed(2)}`;
@@ -94,28 +105,163 @@ export const sanitizeUser = (user) => {
   return userObj;
 };
 
-// Check if user can make withdrawal
-export const canMakeWithdrawal = (user, amount) => {
-  const errors = [];
-  
-  if (!user.bankDetails.bankName) {
-    errors.push('Bank details not submitted');
+// Weekday, hour, calendar date (YYYY-MM-DD) and start of the day of a
+// moment in the given timezone
+export const getZonedTime = (date, timeZone) => {
+  const zoned = new Date(date.toLocaleString('en-US', { timeZone }));
+  const offset = zoned.getTime() - date.getTime();
+  const midnight = new Date(zoned);
+  midnight.setHours(0, 0, 0, 0);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return {
+    day: zoned.getDay(),
+    hour: zoned.getHours(),
+    date: `${zoned.getFullYear()}-${pad(zoned.getMonth() + 1)}-${pad(zoned.getDate())}`,
+    startOfDay: new Date(midnight.getTime() - offset)
+  };
+};
+
+// Calendar date (YYYY-MM-DD) a number of days after another one
+export const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+// Processing fee of a withdrawal under the policy's fee settings
+export const calculateWithdrawalFee = (amount, fee = {}) => {
+  let value = 0;
+
+  if (fee.type === 'flat') {
+    value = fee.value;
+  } else if (fee.type === 'percentage') {
+    value = amount * fee.value / 100;
+    if (fee.min !== null && fee.min !== undefined) value = Math.max(value, fee.min);
+    if (fee.max !== null && fee.max !== undefined) value = Math.min(value, fee.max);
   }
-  
+
+  return Math.round(value * 100) / 100;
+};
+
+// End of the withdrawal lock after a bank details change, or null when
+// withdrawals are not locked
+export const getBankChangeLock = (user, policy = {}, now = new Date()) => {
+  if (!policy.bankChangeLockHours || !user.bankDetailsChangedAt) {
+    return null;
+  }
+
+  const lockedUntil = new Date(user.bankDetailsChangedAt.getTime() + policy.bankChangeLockHours * 60 * 60 * 1000);
+  return lockedUntil > now ? lockedUntil : null;
+};
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Check if user can make withdrawal under the withdrawal policy. `activity`
+// describes the user's earlier requests: { todayCount, todayAmount, lastRequestedAt }.
+// Each violation carries a rule code for clients to act on.
+export const canMakeWithdrawal = (user, amount, policy = {}, activity = {}, now = new Date()) => {
+  const violations = [];
+  const violate = (code, message) => violations.push({ code, message });
+
+  const minAmount = policy.minAmount ?? 1;
+  const { todayCount = 0, todayAmount = 0, lastRequestedAt = null } = activity;
+
+  if (!user.payoutMethods?.length && !user.bankDetails.bankName) {
+    violate('PAYOUT_METHOD_REQUIRED', 'No bank account or UPI ID added');
+  }
+
+  // balance is what is available: held and frozen funds are kept outside it
   if (user.balance < amount) {
-    errors.push('Insufficient balance');
+    violate('INSUFFICIENT_BALANCE', 'Insufficient balance');
   }
-  
-  if (amount < 1) {
-    errors.push('Minimum withdrawal amount is ₹1');
+
+  if (amount < minAmount) {
+    violate('MIN_AMOUNT', `Minimum withdrawal amount is ₹${minAmount}`);
   }
-  
+
+  if (policy.maxAmount && amount > policy.maxAmount) {
+    violate('MAX_AMOUNT', `Maximum withdrawal amount is ₹${policy.maxAmount}`);
+  }
+
+  if (policy.dailyCountLimit && todayCount >= policy.dailyCountLimit) {
+    violate('DAILY_COUNT_LIMIT', `Only ${policy.dailyCountLimit} withdrawals are allowed per day`);
+  }
+
+  if (policy.dailyAmountLimit && todayAmount + amount > policy.dailyAmountLimit) {
+    violate('DAILY_AMOUNT_LIMIT', `Daily withdrawal limit is ₹${policy.dailyAmountLimit}, ₹${Math.max(policy.dailyAmountLimit - todayAmount, 0)} left today`);
+  }
+
+  const lockedUntil = getBankChangeLock(user, policy, now);
+  if (lockedUntil) {
+    const until = lockedUntil.toLocaleString('en-IN', { timeZone: policy.timezone || 'Asia/Kolkata' });
+    violate('BANK_CHANGE_LOCK', `Withdrawals are locked until ${until} after a change to your bank details`);
+  }
+
+  if (policy.cooldownMinutes && lastRequestedAt) {
+    const nextAllowedAt = new Date(lastRequestedAt.getTime() + policy.cooldownMinutes * 60 * 1000);
+    if (nextAllowedAt > now) {
+      violate('COOLDOWN', `Please wait ${Math.ceil((nextAllowedAt - now) / 60000)} minutes before the next withdrawal`);
+    }
+  }
+
+  const { day, hour } = getZonedTime(now, policy.timezone || 'Asia/Kolkata');
+
+  if (policy.allowedDays && !policy.allowedDays.includes(day)) {
+    violate('DAY_NOT_ALLOWED', `Withdrawals are not accepted on ${DAY_NAMES[day]}`);
+  }
+
+  const { startHour = 0, endHour = 24 } = policy.allowedHours || {};
+  if (hour < startHour || hour >= endHour) {
+    violate('OUTSIDE_HOURS', `Withdrawals are accepted between ${startHour}:00 and ${endHour}:00`);
+  }
+
+  const fee = calculateWithdrawalFee(amount, policy.fee);
+  if (fee > 0 && fee >= amount) {
+    violate('FEE_EXCEEDS_AMOUNT', `Amount must be more than the ₹${fee} processing fee`);
+  }
+
   return {
-    canWithdraw: errors.length === 0,
-    errors
+    canWithdraw: violations.length === 0,
+    errors: violations.map(violation => violation.message),
+    violations,
+    fee,
+    netAmount: Math.round((amount - fee) * 100) / 100
   };
 };
 
+// NEFT / RTGS UTRs: 4 letter bank code, channel letter or digit, then 11-17 characters
+const NEFT_UTR = /[A-Z]{4}[A-Z0-9][A-Z0-9]{11,17}/;
+// UPI RRN and IMPS reference numbers are 12 digits
+const RRN = /\d{12}/;
+
+// Canonical form a UTR is stored and compared in
+export const normalizeUtr = (utr) => String(utr || '').replace(/[\s-]/g, '').toUpperCase();
+
+// Check a submitted UTR is a 12 digit UPI/IMPS reference or a NEFT/RTGS UTR
+export const isValidUtr = (utr) => {
+  const value = normalizeUtr(utr);
+  if (new RegExp(`^${RRN.source}$`).test(value)) {
+    return true;
+  }
+  return new RegExp(`^${NEFT_UTR.source}$`).test(value) && /\d{6,}/.test(value);
+};
+
+// Pull a UTR / bank reference out of a statement narration, e.g.
+// "UPI/412345678901/PAYMENT/..." or "NEFT-HDFCN52024011512345678-NAME"
+export const extractUtr = (text) => {
+  if (!text) return null;
+  const value = String(text).toUpperCase();
+
+  const neft = value.match(new RegExp(`\\b${NEFT_UTR.source}\\b`));
+  if (neft && /\d{6,}/.test(neft[0])) {
+    return neft[0];
+  }
+
+  const rrn = value.match(new RegExp(`(?:^|[^0-9])(${RRN.source})(?![0-9])`));
+  return rrn ? rrn[1] : null;
+};
+
 // Calculate referral bonus
 export const calculateReferralBonus = () => {
   return process.env.INVITE_AMOUNT || 50; // Fixed bonus amount as per requirements